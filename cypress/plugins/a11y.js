@@ -0,0 +1,98 @@
+/*
+    Node side of the accessibility baselines (see ./cypress/support/a11y.js).
+
+    Each environment has its own baseline of known violations in ./cypress/snapshots/a11y/<environment>.json, since the
+    axe target selectors of the same violation differ between the live page and the stand-in.
+
+    In update mode (--env updateSnapshots=true) the violations found by the audits replace the baseline of the
+    environment, scope by scope: the first audit of a scope in the run drops the scope's entries that are no longer found,
+    and every audit adds the violations that are not listed yet. Entries that are still found keep their place and note.
+*/
+
+const fs = require('fs')
+const path = require('path')
+
+const BASELINES_FOLDER = path.join(__dirname, '..', 'snapshots', 'a11y')
+
+// How to record a baseline, for the message of a missing one
+const RECORD_SCRIPT = 'npm run cypress:run:a11y:update:<environment>'
+
+// The scopes recorded so far in this run, by baseline name
+const recorded_scopes = {}
+
+
+function baselinePath(name) {
+    return path.join(BASELINES_FOLDER, `${name}.json`)
+}
+
+// One entry per line, as the committed baselines are laid out
+function formatEntry(entry) {
+    return `{ ${Object.keys(entry).map((key) => `${JSON.stringify(key)}: ${JSON.stringify(entry[key])}`).join(', ')} }`
+}
+
+function isSameViolation(known, entry) {
+    return known.scope === entry.scope && known.rule === entry.rule && known.selector === entry.selector
+}
+
+/**
+ * Reads the baseline of known violations of an environment.
+ *
+ * @param {string} name - Baseline name: the environment (e.g. "local")
+ * @returns {{baseline: Array<object>|null, message: string}} The baseline entries, or null (with a message) when the
+ *   environment has none
+ */
+function readA11yBaseline(name) {
+    const baseline_path = baselinePath(name)
+
+    if (!fs.existsSync(baseline_path)) {
+        const message = `no accessibility baseline at ${path.relative(process.cwd(), baseline_path)}, comparison skipped -- record it with "${RECORD_SCRIPT}" and commit it`
+        console.warn(`  WARNING: ${message}`)
+        return { baseline: null, message }
+    }
+    return { baseline: JSON.parse(fs.readFileSync(baseline_path, 'utf8')), message: '' }
+}
+
+/**
+ * Records the violations found in a scope as known violations of an environment.
+ *
+ * @param {object} options
+ * @param {string} options.name - Baseline name: the environment (e.g. "local")
+ * @param {string} options.scope - The audited scope
+ * @param {Array<object>} options.violations - The violations found, one entry per element
+ * @returns {string} Path of the written baseline
+ */
+function recordA11yBaseline({ name, scope, violations }) {
+    const baseline_path = baselinePath(name)
+    const previous = fs.existsSync(baseline_path) ? JSON.parse(fs.readFileSync(baseline_path, 'utf8')) : []
+    const scopes = recorded_scopes[name] || (recorded_scopes[name] = new Set())
+    const kept = scopes.has(scope)
+        ? previous
+        : previous.filter((known) => known.scope !== scope || violations.some((entry) => isSameViolation(known, entry)))
+
+    const added = violations
+        .filter((entry) => !kept.some((known) => isSameViolation(known, entry)))
+        .map((entry) => ({ scope: entry.scope, rule: entry.rule, selector: entry.selector, note: `Recorded: ${entry.description}` }))
+
+    scopes.add(scope)
+    fs.mkdirSync(path.dirname(baseline_path), { recursive: true })
+    fs.writeFileSync(baseline_path, `[\n${kept.concat(added).map((entry) => `    ${formatEntry(entry)}`).join(',\n')}\n]\n`)
+    return path.relative(process.cwd(), baseline_path)
+}
+
+/**
+ * Registers the accessibility baseline tasks.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerA11yTasks(on) {
+    on('task', {
+        readA11yBaseline,
+        recordA11yBaseline,
+    })
+}
+
+module.exports = {
+    readA11yBaseline,
+    recordA11yBaseline,
+    registerA11yTasks,
+}
@@ -0,0 +1,150 @@
+/*
+    Environment profiles -- the site the suites run against, and what they expect to find there.
+
+    Each profile in ./cypress/environments (production, staging, local) overrides the shared settings in
+    ./cypress/environments/defaults.json with its own:
+
+        baseUrl     the site's address (a baseUrl given on the command line with --config takes precedence)
+        standin     for the local stand-in, the port to serve it on (--env standinPort=<port> takes precedence)
+        timeouts    the Cypress command, page load, request, and response timeouts
+        tags        tags to include / exclude -- tag filters given on the command line replace the profile's includes
+                    and add to its excludes
+        expected    expected values that differ between environments (page title, link destinations, ...)
+        performance the page performance budgets, and how a run is compared with the previous ones (see ./performance.js)
+
+    The profile is selected with --env environment=<name> (production by default), applied to the Cypress config, and
+    handed to the tests as the "environmentProfile" env value, which they read through envConfig()
+    (./cypress/support/environment.js). The earlier --env target=live|standin switch still works, and selects the
+    production or the local profile.
+*/
+
+const fs = require('fs')
+const path = require('path')
+
+const ENVIRONMENTS_FOLDER = path.join(__dirname, '..', 'environments')
+const DEFAULTS_FILE = 'defaults.json'
+const DEFAULT_ENVIRONMENT = 'production'
+
+// The profiles selected by the earlier --env target=<target> switch
+const TARGET_ENVIRONMENTS = {
+    live: 'production',
+    standin: 'local',
+}
+
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/*
+    Merges the overrides into the base settings, object by object. Arrays and other values are replaced.
+*/
+function mergeSettings(base, overrides) {
+    const merged = { ...base }
+
+    Object.keys(overrides).forEach((key) => {
+        merged[key] = isPlainObject(base[key]) && isPlainObject(overrides[key])
+            ? mergeSettings(base[key], overrides[key])
+            : overrides[key]
+    })
+    return merged
+}
+
+function readSettings(file_name) {
+    return JSON.parse(fs.readFileSync(path.join(ENVIRONMENTS_FOLDER, file_name), 'utf8'))
+}
+
+/**
+ * Lists the names of the environment profiles.
+ *
+ * @returns {Array<string>} The profile names, in alphabetical order
+ */
+function listEnvironments() {
+    return fs.readdirSync(ENVIRONMENTS_FOLDER)
+        .filter((file_name) => file_name.endsWith('.json') && file_name !== DEFAULTS_FILE)
+        .map((file_name) => path.basename(file_name, '.json'))
+        .sort()
+}
+
+/**
+ * Loads an environment profile, merged over the shared defaults.
+ *
+ * @param {string} name - The profile name, e.g. "staging"
+ * @returns {object} The merged profile, with its name
+ */
+function loadEnvironment(name) {
+    const names = listEnvironments()
+    if (!names.includes(name)) {
+        throw new Error(`Unknown environment "${name}" -- expected one of: ${names.join(', ')}`)
+    }
+    return { name, ...mergeSettings(readSettings(DEFAULTS_FILE), readSettings(`${name}.json`)) }
+}
+
+/*
+    The name of the selected profile: --env environment=<name>, or the profile of the earlier --env target=<target>.
+*/
+function selectedEnvironment(env) {
+    if (!env.target) {
+        return env.environment || DEFAULT_ENVIRONMENT
+    }
+
+    const target_environment = TARGET_ENVIRONMENTS[env.target]
+    if (!target_environment) {
+        throw new Error(`Unknown target "${env.target}" -- select an environment profile with --env environment=<name> instead`)
+    }
+    if (env.environment && env.environment !== target_environment) {
+        throw new Error(`--env target=${env.target} selects the ${target_environment} environment, but `
+            + `environment=${env.environment} was given -- give only --env environment=<name>`)
+    }
+    return target_environment
+}
+
+/*
+    Whether the baseUrl was given on the command line (--config baseUrl=... or CYPRESS_BASE_URL) rather than taken
+    from cypress.json.
+*/
+function hasCommandLineBaseUrl(config) {
+    const resolved = config.resolved && config.resolved.baseUrl
+    return Boolean(resolved) && ['cli', 'env'].includes(resolved.from)
+}
+
+/**
+ * Applies the selected environment profile to the Cypress config, in place. Expects the tag filters to be normalized
+ * already (see ./tags.js).
+ *
+ * @param {Cypress.PluginConfigOptions} config - The resolved Cypress config
+ * @returns {object} The applied profile -- its "standin" settings still need the stand-in to be started
+ */
+function applyEnvironment(config) {
+    const profile = loadEnvironment(selectedEnvironment(config.env))
+
+    if (profile.standin && config.env.standinPort) {
+        profile.standin = { ...profile.standin, port: Number(config.env.standinPort) }
+    }
+    if (hasCommandLineBaseUrl(config)) {
+        profile.baseUrl = config.baseUrl
+    }
+    if (!profile.baseUrl && !profile.standin) {
+        throw new Error(`The ${profile.name} environment has no baseUrl -- give it with --config baseUrl=<url>`)
+    }
+    if (profile.baseUrl) {
+        config.baseUrl = profile.baseUrl
+    }
+
+    Object.assign(config, profile.timeouts)
+
+    if (config.env.includeTags.length === 0) {
+        config.env.includeTags = profile.tags.include
+    }
+    config.env.excludeTags = [...new Set(config.env.excludeTags.concat(profile.tags.exclude))]
+
+    config.env.environment = profile.name
+    config.env.environmentProfile = profile
+    return profile
+}
+
+module.exports = {
+    applyEnvironment,
+    listEnvironments,
+    loadEnvironment,
+}
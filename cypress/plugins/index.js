@@ -12,11 +12,45 @@
 // This function is called when a project is opened or re-opened (e.g. due to
 // the project's config changing)
 
+const { registerA11yTasks } = require('./a11y')
+const { applyEnvironment } = require('./environments')
+const { registerNetworkTasks } = require('./network')
+const { registerPerformanceTasks } = require('./performance')
+const { registerReportTasks } = require('./reports')
+const { registerSelectorTasks } = require('./selectors')
+const { startStandIn } = require('./standin')
+const { registerStructureTasks } = require('./structure')
+const { normalizeTagFilters, registerTagTasks } = require('./tags')
+const { registerVisualTasks } = require('./visual')
+
 /**
  * @type {Cypress.PluginConfig}
  */
-// eslint-disable-next-line no-unused-vars
 module.exports = (on, config) => {
   // `on` is used to hook into various events Cypress emits
   // `config` is the resolved Cypress config
+
+  registerA11yTasks(on)
+  registerNetworkTasks(on)
+  registerPerformanceTasks(on)
+  registerReportTasks(on)
+  registerSelectorTasks(on)
+  registerStructureTasks(on)
+  registerTagTasks(on)
+  registerVisualTasks(on)
+  normalizeTagFilters(config)
+
+  // Environment selection: "production" (default), "staging", or "local", which starts the local stand-in server and
+  // points baseUrl at it -- e.g. "npx cypress run --env environment=local". See ./environments.js
+  const profile = applyEnvironment(config)
+
+  if (profile.standin) {
+    return startStandIn(profile.standin.port).then((base_url) => {
+      config.baseUrl = base_url
+      profile.baseUrl = base_url
+      return config
+    })
+  }
+
+  return config
 }
@@ -0,0 +1,88 @@
+/*
+    Node side of the network traffic capture (see ./cypress/support/network.js).
+
+    Writes the requests captured during a spec to ./cypress/reports/network/<spec>.har, in the shape of a HAR 1.2 log so
+    that it opens in the browser's developer tools and other HAR viewers. Only what the spy sees is filled in -- the
+    headers, cookies, and detailed timings are left empty. The test that made each request, its initiator type, and the
+    problems found with it are kept in the "_test", "_initiatorType", and "_problems" fields of its entry.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { REPORTS_FOLDER } = require('./reports')
+const { name, version } = require('../../package.json')
+
+// The "creator" of the log -- this project
+const CREATOR = { name, version }
+
+
+function toHarEntry(request) {
+    const size = request.size === null ? -1 : request.size
+    const time = request.time_ms === null ? -1 : request.time_ms
+
+    return {
+        startedDateTime: request.started,
+        time,
+        request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: '',
+            headers: [],
+            queryString: Array.from(new URL(request.url).searchParams, ([name, value]) => ({ name, value })),
+            cookies: [],
+            headersSize: -1,
+            bodySize: -1,
+        },
+        response: {
+            status: request.status === null ? 0 : request.status,
+            statusText: request.status_text,
+            httpVersion: '',
+            headers: [],
+            cookies: [],
+            content: { size, mimeType: request.mime_type },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: size,
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        _test: request.test,
+        _initiatorType: request.initiator_type,
+        _problems: request.problems,
+    }
+}
+
+/**
+ * Writes the requests captured during a spec as a HAR-like log, replacing the log of its previous run.
+ *
+ * @param {object} options
+ * @param {string} options.spec - File name of the spec (e.g. "test_instagram_login.spec.js")
+ * @param {Array<object>} options.requests - The captured requests, in the order they were made
+ * @returns {string} Path of the written log
+ */
+function writeNetworkCapture({ spec, requests }) {
+    const har_path = path.join(REPORTS_FOLDER, 'network', `${spec.replace(/(\.spec)?\.js$/, '')}.har`)
+    const har = { log: { version: '1.2', creator: CREATOR, pages: [], entries: requests.map(toHarEntry) } }
+    const flagged_count = requests.filter((request) => request.problems.length > 0).length
+
+    fs.mkdirSync(path.dirname(har_path), { recursive: true })
+    fs.writeFileSync(har_path, JSON.stringify(har, null, 4) + '\n')
+    console.log(`  ${requests.length} request(s) captured, ${flagged_count} flagged -- written to ${path.relative(process.cwd(), har_path)}`)
+    return har_path
+}
+
+/**
+ * Registers the network capture tasks.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerNetworkTasks(on) {
+    on('task', {
+        writeNetworkCapture,
+    })
+}
+
+module.exports = {
+    registerNetworkTasks,
+    writeNetworkCapture,
+}
@@ -0,0 +1,139 @@
+/*
+    Node side of the page performance checks (see ./cypress/support/performance.js).
+
+    Every run's metrics are appended to a local history, ./cypress/reports/performance/<environment>/history.json -- one
+    history per environment, since the stand-in and the live site are not comparable. Each metric is then compared with
+    the rolling median of the previous runs (the last trend.window of them), and flagged as a regression when it is more
+    than trend.tolerance above it. Until there are trend.minRuns previous runs, a metric has no median to be compared with.
+
+    The summary of the run -- each metric with its budget, median, and change -- is written to summary.json and
+    summary.txt next to the history (and shown in the terminal).
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { REPORTS_FOLDER, formatTable, writeReport, writeReportTable } = require('./reports')
+
+// Columns of the performance summary table
+const SUMMARY_COLUMNS = [
+    { key: 'metric', title: 'Metric' },
+    { key: 'value', title: 'Value' },
+    { key: 'budget', title: 'Budget' },
+    { key: 'median', title: 'Median' },
+    { key: 'change', title: 'Change' },
+    { key: 'result', title: 'Result' },
+]
+
+
+function readHistory(history_path) {
+    return fs.existsSync(history_path) ? JSON.parse(fs.readFileSync(history_path, 'utf8')) : []
+}
+
+/**
+ * The median of a list of numbers.
+ *
+ * @param {Array<number>} values - The numbers, in any order
+ * @returns {number|null} The median, or null for an empty list
+ */
+function median(values) {
+    if (values.length === 0) {
+        return null
+    }
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Compares each metric of a run with its budget and with the rolling median of the previous runs.
+ *
+ * @param {object} metrics - The run's metrics, by name
+ * @param {Array<object>} history - The previous runs, oldest first
+ * @param {object} budgets - The budgets, by metric name; a metric without one is only compared with the history
+ * @param {{window: number, minRuns: number, tolerance: number}} trend - How the run is compared with the history
+ * @returns {Array<object>} One row per metric: its value, budget, median, relative change, and result
+ */
+function compareWithHistory(metrics, history, budgets, trend) {
+    const recent_runs = history.slice(-trend.window)
+
+    return Object.keys(metrics).map((metric) => {
+        const value = metrics[metric]
+        const previous_values = recent_runs
+            .map((run) => run.metrics[metric])
+            .filter((previous_value) => typeof previous_value === 'number')
+        const metric_median = previous_values.length >= trend.minRuns ? median(previous_values) : null
+        const change = metric_median && typeof value === 'number' ? (value - metric_median) / metric_median : null
+        const budget = budgets[metric] === undefined ? null : budgets[metric]
+
+        let result = 'ok'
+        if (typeof value !== 'number') {
+            result = 'not measured'
+        } else if (budget !== null && value > budget) {
+            result = 'OVER BUDGET'
+        } else if (change !== null && change > trend.tolerance) {
+            result = 'REGRESSION'
+        }
+
+        return { metric, value, budget, median: metric_median, change, result }
+    })
+}
+
+function formatChange(change) {
+    return change === null ? '' : `${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}%`
+}
+
+/**
+ * Appends a run to the environment's history, compares it with the previous runs, and writes the summary.
+ *
+ * @param {object} options
+ * @param {string} options.environment - The environment the run measured (e.g. "production")
+ * @param {string} options.url - The page that was measured
+ * @param {object} options.metrics - The run's metrics, by name
+ * @param {object} options.budgets - The budgets, by metric name
+ * @param {{window: number, minRuns: number, tolerance: number}} options.trend - How the run is compared with the history
+ * @returns {object} The summary: the rows of the comparison, the regressions among them, and the report paths
+ */
+function recordPerformanceRun({ environment, url, metrics, budgets, trend }) {
+    const history_path = path.join(REPORTS_FOLDER, 'performance', environment, 'history.json')
+    const history = readHistory(history_path)
+    const rows = compareWithHistory(metrics, history, budgets, trend)
+    const relative = (file_path) => path.relative(process.cwd(), file_path)
+
+    writeReport(`performance/${environment}/history`, history.concat({ recorded_at: new Date().toISOString(), url, metrics }))
+
+    const summary = {
+        environment,
+        url,
+        previous_runs: history.length,
+        window: Math.min(history.length, trend.window),
+        rows,
+        regressions: rows.filter((row) => row.result === 'REGRESSION'),
+        history: relative(history_path),
+    }
+    const table_rows = rows.map((row) => ({ ...row, change: formatChange(row.change) }))
+    const summary_path = writeReport(`performance/${environment}/summary`, summary)
+    const table_path = writeReportTable(`performance/${environment}/summary`, SUMMARY_COLUMNS, table_rows)
+
+    console.log(`\n  Performance of ${url} compared with the median of the last ${summary.window} of ${history.length} previous run(s)`)
+    console.log(`\n${formatTable(SUMMARY_COLUMNS, table_rows)}`)
+
+    return { ...summary, report: relative(summary_path), table: relative(table_path) }
+}
+
+/**
+ * Registers the performance history tasks.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerPerformanceTasks(on) {
+    on('task', {
+        recordPerformanceRun,
+    })
+}
+
+module.exports = {
+    compareWithHistory,
+    median,
+    recordPerformanceRun,
+    registerPerformanceTasks,
+}
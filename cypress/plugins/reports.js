@@ -0,0 +1,88 @@
+/*
+    JSON reports written by the suites (localization problems, and so on) into ./cypress/reports, and plain-text tables
+    of the reports that are meant to be read in the terminal.
+
+    The reports folder is not committed -- see .gitignore.
+*/
+
+const fs = require('fs')
+const path = require('path')
+
+const REPORTS_FOLDER = path.join(__dirname, '..', 'reports')
+
+
+/**
+ * Writes a report as pretty-printed JSON to ./cypress/reports/<name>.json, replacing any previous report of that name.
+ *
+ * @param {string} name - Report name, which may include sub-folders (e.g. "console/test_instagram_login")
+ * @param {object} report - The report contents
+ * @returns {string} Path of the written report
+ */
+function writeReport(name, report) {
+    const report_path = path.join(REPORTS_FOLDER, `${name}.json`)
+    fs.mkdirSync(path.dirname(report_path), { recursive: true })
+    fs.writeFileSync(report_path, JSON.stringify(report, null, 4) + '\n')
+    return report_path
+}
+
+/**
+ * Formats rows as a plain-text table with a header row and padded columns.
+ *
+ * @param {Array<{key: string, title: string}>} columns - The columns, in order: the row property and its heading
+ * @param {Array<object>} rows - The rows; missing values are shown as empty cells
+ * @returns {string} The table, one line per row
+ */
+function formatTable(columns, rows) {
+    const cellOf = (row, column) => (row[column.key] === undefined || row[column.key] === null ? '' : String(row[column.key]))
+    const cells = [columns.map((column) => column.title)].concat(rows.map((row) => columns.map((column) => cellOf(row, column))))
+    const widths = columns.map((column, index) => Math.max(...cells.map((line) => line[index].length)))
+    const formatLine = (line) => line.map((cell, index) => cell.padEnd(widths[index])).join(' | ').trimEnd()
+
+    return [formatLine(cells[0]), widths.map((width) => '-'.repeat(width)).join('-+-')]
+        .concat(cells.slice(1).map(formatLine))
+        .join('\n') + '\n'
+}
+
+/**
+ * Writes a report table to ./cypress/reports/<name>.txt, replacing any previous table of that name.
+ *
+ * @param {string} name - Report name, which may include sub-folders
+ * @param {Array<{key: string, title: string}>} columns - The columns, in order
+ * @param {Array<object>} rows - The rows
+ * @returns {string} Path of the written table
+ */
+function writeReportTable(name, columns, rows) {
+    const table_path = path.join(REPORTS_FOLDER, `${name}.txt`)
+    fs.mkdirSync(path.dirname(table_path), { recursive: true })
+    fs.writeFileSync(table_path, formatTable(columns, rows))
+    return table_path
+}
+
+/**
+ * Registers the report tasks.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerReportTasks(on) {
+    on('task', {
+        writeReport({ name, report }) {
+            const report_path = writeReport(name, report)
+            console.log(`  Report written to ${path.relative(process.cwd(), report_path)}`)
+            return report_path
+        },
+        writeReportTable({ name, columns, rows }) {
+            const table_path = writeReportTable(name, columns, rows)
+            console.log(`\n${formatTable(columns, rows)}`)
+            console.log(`  Report written to ${path.relative(process.cwd(), table_path)}`)
+            return table_path
+        },
+    })
+}
+
+module.exports = {
+    REPORTS_FOLDER,
+    formatTable,
+    registerReportTasks,
+    writeReport,
+    writeReportTable,
+}
@@ -0,0 +1,96 @@
+/*
+    Node side of the selector registry (see ./cypress/support/selectors.js): the drift report of the run.
+
+    Each spec sends the resolutions of its registry elements at its end. They are merged over the whole run and written to
+    ./cypress/reports/selector_drift.json after every spec, so the report is complete when the run ends. An element is
+    listed as drifted when it had to be found by a fallback strategy on the English page; fallbacks on pages in other
+    languages are listed separately, since role / label and text strategies are expected to miss there.
+*/
+
+const { writeReport } = require('./reports')
+
+const DRIFT_REPORT_NAME = 'selector_drift'
+const DEFAULT_LANG = 'en'
+
+// Every element resolved during the run: name -> { primary, strategies: { "<strategy>: <selector>": { drifted, count, langs, specs } } }
+const elements = {}
+
+
+function recordResolution(spec, resolution) {
+    if (!elements[resolution.name]) {
+        elements[resolution.name] = { primary: resolution.primary, strategies: {} }
+    }
+    const element = elements[resolution.name]
+    const key = `${resolution.strategy}: ${resolution.selector}`
+
+    if (!element.strategies[key]) {
+        element.strategies[key] = { drifted: resolution.drifted, count: 0, langs: [], specs: [] }
+    }
+    const strategy = element.strategies[key]
+
+    strategy.count += resolution.count
+    if (!strategy.langs.includes(resolution.lang)) {
+        strategy.langs.push(resolution.lang)
+    }
+    if (!strategy.specs.includes(spec)) {
+        strategy.specs.push(spec)
+    }
+}
+
+/*
+    Names of the elements with a fallback resolution, on the English page or only on pages in other languages.
+*/
+function findDrift() {
+    const drifted = []
+    const drifted_in_other_languages = []
+
+    Object.keys(elements).sort().forEach((name) => {
+        const fallbacks = Object.values(elements[name].strategies).filter((strategy) => strategy.drifted)
+        const langs = fallbacks.reduce((all_langs, strategy) => all_langs.concat(strategy.langs), [])
+
+        if (langs.includes(DEFAULT_LANG)) {
+            drifted.push(name)
+        } else if (langs.length > 0) {
+            drifted_in_other_languages.push(name)
+        }
+    })
+
+    return { drifted, drifted_in_other_languages }
+}
+
+/**
+ * Adds the resolutions of a spec to the run's drift report, and rewrites the report.
+ *
+ * @param {object} options
+ * @param {string} options.spec - Relative path of the spec
+ * @param {Array<object>} options.resolutions - Resolutions counted per element, strategy, and page language
+ * @returns {Array<string>} Names of the elements drifted (on the English page) so far
+ */
+function recordSelectorResolutions({ spec, resolutions }) {
+    resolutions.forEach((resolution) => recordResolution(spec, resolution))
+
+    const drift = findDrift()
+    writeReport(DRIFT_REPORT_NAME, { ...drift, elements })
+
+    const new_drift = [...new Set(resolutions.filter((resolution) => resolution.drifted && resolution.lang === DEFAULT_LANG)
+        .map((resolution) => resolution.name))]
+    if (new_drift.length > 0) {
+        console.warn(`  Selector drift in ${spec}: ${new_drift.join(', ')} found by a fallback strategy`)
+    }
+    return drift.drifted
+}
+
+/**
+ * Registers the selector registry tasks.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerSelectorTasks(on) {
+    on('task', {
+        recordSelectorResolutions,
+    })
+}
+
+module.exports = {
+    registerSelectorTasks,
+}
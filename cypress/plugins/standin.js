@@ -0,0 +1,338 @@
+/*
+    Local stand-in for www.instagram.com.
+
+    Serves the captured snapshot of the Login page (./cypress/standin), its static assets, and stubbed
+    versions of the endpoints the pages talk to (password login, the Facebook login that follows the OAuth
+    callback, password reset, and the sign-up field checks), so that the suites can run without network access.
+    Started from the plugins file when the "local" environment is selected (see ./environments.js).
+
+    Pages are rendered in the display language given by the "hl" query parameter (e.g. /?hl=fr), using the
+    strings in ./cypress/standin/locales.json. Strings missing from a locale fall back to English.
+
+    The targets of the page's links are stubbed too (./cypress/standin/links.json), with the status and redirect each
+    one answers with. Paths on the stand-in are answered directly; other sites are answered through
+    /__links/?url=<url>, which is where the link-health suite sends its requests for them when running offline.
+*/
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+
+const STANDIN_ROOT = path.join(__dirname, '..', 'standin')
+const STATIC_ROOT = path.join(STANDIN_ROOT, 'static')
+const LOCALES = require('../standin/locales.json')
+const LINK_STUBS = require('../standin/links.json')
+const DEFAULT_LOCALE = 'en'
+
+const CONTENT_TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+}
+
+// Accounts known to the stubbed authentication endpoint: username -> password
+const STANDIN_ACCOUNTS = {
+    standin_user: 'standin_password',
+}
+
+// Passwords that the stubbed sign-up checks reject as too easy to guess, whatever their length
+const STANDIN_WEAK_PASSWORDS = ['password', '123456', 'qwerty', 'instagram']
+
+// How the stubbed account recovery endpoint reaches each account: username -> email and phone number
+const STANDIN_RECOVERY_CONTACTS = {
+    standin_user: { email: 'standin@example.com', phone: '+15555550100' },
+}
+
+// Stubbed responses for links to other sites: /__links/?url=<url>
+const LINK_STUB_PATH = '/__links/'
+
+const PAGES = {
+    '/': 'login.html',
+    '/accounts/login/': 'login.html',
+    '/accounts/onetap/': 'onetap.html',
+    '/accounts/login/two_factor': 'two_factor.html',
+    '/accounts/password/reset/': 'password_reset.html',
+    '/accounts/emailsignup/': 'signup.html',
+    '/challenge/': 'challenge.html',
+}
+
+
+function sendFile(res, file_path, status = 200) {
+    fs.readFile(file_path, (err, contents) => {
+        if (err) {
+            return sendNotFound(res)
+        }
+        res.writeHead(status, {
+            'Content-Type': CONTENT_TYPES[path.extname(file_path)] || 'application/octet-stream',
+            'Content-Length': contents.length,
+        })
+        res.end(contents)
+    })
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+function renderLanguageOptions(selected_locale) {
+    return Object.keys(LOCALES).map((locale) => {
+        const selected = locale === selected_locale ? ' selected' : ''
+        return `<option value="${locale}"${selected}>${escapeHtml(LOCALES[locale].language)}</option>`
+    }).join('')
+}
+
+/*
+    Fills in the {{name}} placeholders of a page template. Values of placeholders ending in "_html" are
+    inserted as-is; all other values are HTML-escaped. The copyright line carries the current year, like the
+    live page's.
+*/
+function renderTemplate(template, locale) {
+    const strings = Object.assign({}, LOCALES[DEFAULT_LOCALE], LOCALES[locale])
+    const values = Object.assign(strings, {
+        lang: locale,
+        language_options_html: renderLanguageOptions(locale),
+        copyright: strings.copyright.replace('{year}', new Date().getFullYear()),
+    })
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            throw new Error(`Stand-in template has no value for ${placeholder}`)
+        }
+        return name.endsWith('_html') ? values[name] : escapeHtml(values[name])
+    })
+}
+
+function sendPage(res, file_path, locale) {
+    fs.readFile(file_path, 'utf8', (err, template) => {
+        if (err) {
+            return sendNotFound(res)
+        }
+        const contents = Buffer.from(renderTemplate(template, locale), 'utf8')
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES['.html'],
+            'Content-Length': contents.length,
+        })
+        res.end(contents)
+    })
+}
+
+function sendJson(res, status, body) {
+    const contents = JSON.stringify(body)
+    res.writeHead(status, {
+        'Content-Type': CONTENT_TYPES['.json'],
+        'Content-Length': Buffer.byteLength(contents),
+    })
+    res.end(contents)
+}
+
+function sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+    res.end('Page Not Found')
+}
+
+/*
+    Answers a stubbed link target with its status, and its Location header when it redirects.
+*/
+function sendLinkStub(res, link_url) {
+    if (!Object.prototype.hasOwnProperty.call(LINK_STUBS, link_url)) {
+        return sendNotFound(res)
+    }
+    const stub = LINK_STUBS[link_url]
+    const headers = { 'Content-Type': 'text/plain; charset=utf-8' }
+    if (stub.location) {
+        headers.Location = stub.location
+    }
+    res.writeHead(stub.status, headers)
+    res.end(`Stand-in for ${link_url}`)
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = []
+        req.on('data', (chunk) => chunks.push(chunk))
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+        req.on('error', reject)
+    })
+}
+
+function serveStatic(res, pathname) {
+    // Resolve inside STATIC_ROOT only -- never serve anything outside of the snapshot
+    const file_path = path.join(STATIC_ROOT, path.normalize(pathname.replace(/^\/static\//, '')))
+    if (!file_path.startsWith(STATIC_ROOT + path.sep)) {
+        return sendNotFound(res)
+    }
+    return sendFile(res, file_path)
+}
+
+function handleLogin(req, res) {
+    return readBody(req).then((raw_body) => {
+        const params = new URLSearchParams(raw_body)
+        const username = params.get('username') || ''
+        // enc_password is "#PWD_INSTAGRAM_BROWSER:<version>:<timestamp>:<password>"
+        const password = (params.get('enc_password') || '').split(':').slice(3).join(':')
+
+        if (!Object.prototype.hasOwnProperty.call(STANDIN_ACCOUNTS, username)) {
+            return sendJson(res, 200, { user: false, authenticated: false, status: 'ok' })
+        }
+        if (STANDIN_ACCOUNTS[username] !== password) {
+            return sendJson(res, 200, { user: true, authenticated: false, status: 'ok' })
+        }
+        return sendJson(res, 200, { user: true, userId: '1', authenticated: true, oneTapPrompt: true, status: 'ok' })
+    })
+}
+
+/*
+    Exchanges the code from the Facebook OAuth callback for a session. Any code is accepted.
+*/
+function handleFacebookLogin(req, res) {
+    return readBody(req).then((raw_body) => {
+        if (!new URLSearchParams(raw_body).get('code')) {
+            return sendJson(res, 400, { authenticated: false, status: 'fail', message: 'Missing code' })
+        }
+        return sendJson(res, 200, { user: true, userId: '1', authenticated: true, status: 'ok' })
+    })
+}
+
+/*
+    Sends a login link to the account with the given email address, phone number, or username -- by email, unless the
+    account was looked up by its phone number.
+*/
+function handleAccountRecovery(req, res) {
+    return readBody(req).then((raw_body) => {
+        const query = (new URLSearchParams(raw_body).get('email_or_username') || '').trim().toLowerCase()
+        const is_phone = /^\+?[\d\s().-]+$/.test(query)
+        const digitsOf = (phone) => phone.replace(/\D/g, '')
+        const username = Object.keys(STANDIN_RECOVERY_CONTACTS).find((name) => {
+            const contacts = STANDIN_RECOVERY_CONTACTS[name]
+            return is_phone ? digitsOf(contacts.phone) === digitsOf(query) : (name === query || contacts.email === query)
+        })
+
+        if (!username) {
+            return sendJson(res, 400, { message: 'No users found', status: 'fail' })
+        }
+        if (is_phone) {
+            return sendJson(res, 200, {
+                title: 'SMS Sent',
+                body: 'We sent an SMS with a link to get back into your account.',
+                status: 'ok',
+            })
+        }
+        return sendJson(res, 200, {
+            title: 'Email Sent',
+            body: 'We sent an email with a link to get back into your account.',
+            status: 'ok',
+        })
+    })
+}
+
+/*
+    The dry run of an account creation that the sign-up page makes when a field loses focus: answers with the errors of
+    the fields that are filled in. Usernames of the stand-in's accounts are taken.
+*/
+function handleSignUpAttempt(req, res) {
+    return readBody(req).then((raw_body) => {
+        const params = new URLSearchParams(raw_body)
+        const email = params.get('email') || ''
+        const phone_number = params.get('phone_number') || ''
+        const username = params.get('username') || ''
+        // enc_password is "#PWD_INSTAGRAM_BROWSER:<version>:<timestamp>:<password>"
+        const password = (params.get('enc_password') || '').split(':').slice(3).join(':')
+        const errors = {}
+
+        if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+            errors.email = [{ message: 'Enter a valid email address.', code: 'invalid_email' }]
+        }
+        if (phone_number && phone_number.replace(/\D/g, '').length < 7) {
+            errors.phone_number = [{ message: 'Looks like your phone number may be incorrect.', code: 'invalid_phone_number' }]
+        }
+        if (username && Object.prototype.hasOwnProperty.call(STANDIN_ACCOUNTS, username.toLowerCase())) {
+            errors.username = [{ message: "This username isn't available. Please try another.", code: 'username_is_taken' }]
+        }
+        if (password && password.length < 6) {
+            errors.password = [{ message: 'Create a password at least 6 characters long.', code: 'too_short_password' }]
+        } else if (password && STANDIN_WEAK_PASSWORDS.includes(password.toLowerCase())) {
+            errors.password = [{ message: 'This password is too easy to guess. Please create a new one.', code: 'too_common_password' }]
+        }
+
+        return sendJson(res, 200, {
+            account_created: false,
+            dryrun_passed: Object.keys(errors).length === 0,
+            errors,
+            status: 'ok',
+        })
+    })
+}
+
+function handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost')
+
+    if (req.method === 'POST' && pathname === '/accounts/login/ajax/') {
+        return handleLogin(req, res)
+    }
+    if (req.method === 'POST' && pathname === '/accounts/login/ajax/facebook/') {
+        return handleFacebookLogin(req, res)
+    }
+    if (req.method === 'POST' && pathname === '/accounts/account_recovery_send_ajax/') {
+        return handleAccountRecovery(req, res)
+    }
+    if (req.method === 'POST' && pathname === '/accounts/web_create_ajax/attempt/') {
+        return handleSignUpAttempt(req, res)
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendJson(res, 405, { status: 'fail', message: 'Method Not Allowed' })
+    }
+    if (pathname.startsWith('/static/')) {
+        return serveStatic(res, pathname)
+    }
+    if (pathname === '/favicon.ico') {
+        // Browsers ask for it with every page -- the stand-in has no icon, but must not answer with a failed request
+        res.writeHead(204)
+        return res.end()
+    }
+    if (Object.prototype.hasOwnProperty.call(PAGES, pathname)) {
+        const requested_locale = searchParams.get('hl')
+        const locale = Object.prototype.hasOwnProperty.call(LOCALES, requested_locale) ? requested_locale : DEFAULT_LOCALE
+        return sendPage(res, path.join(STANDIN_ROOT, PAGES[pathname]), locale)
+    }
+    if (pathname === LINK_STUB_PATH) {
+        return sendLinkStub(res, searchParams.get('url'))
+    }
+    return sendLinkStub(res, pathname)
+}
+
+
+let running_server = null
+
+/**
+ * Starts the stand-in server (once per plugins process) and resolves with its base URL.
+ *
+ * @param {number} port - Port to listen on
+ * @returns {Promise<string>} Base URL of the stand-in, e.g. "http://localhost:8090/"
+ */
+function startStandIn(port) {
+    if (running_server) {
+        return Promise.resolve(running_server.base_url)
+    }
+
+    return new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => {
+            Promise.resolve(handleRequest(req, res)).catch((err) => {
+                sendJson(res, 500, { status: 'fail', message: err.message })
+            })
+        })
+        server.on('error', reject)
+        server.listen(port, 'localhost', () => {
+            running_server = { server, base_url: `http://localhost:${server.address().port}/` }
+            resolve(running_server.base_url)
+        })
+    })
+}
+
+module.exports = {
+    startStandIn,
+}
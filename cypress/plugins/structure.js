@@ -0,0 +1,144 @@
+/*
+    Node side of the structure drift checks (see ./cypress/support/structure.js).
+
+    Compares the structural map of a page with the last accepted snapshot of it in ./cypress/snapshots/structure, node by
+    node, and lists the nodes that were added, removed, or changed. The differences are written to
+    ./cypress/reports/structure/<name>.txt as a readable report (and as JSON next to it).
+
+    In capture mode (--env updateSnapshots=true) the map replaces the snapshot instead. Outside it, a page without a snapshot
+    fails as "missing" -- snapshots are committed, so a missing one is never captured silently.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { REPORTS_FOLDER, writeReport } = require('./reports')
+
+const SNAPSHOTS_FOLDER = path.join(__dirname, '..', 'snapshots', 'structure')
+
+// How to capture the snapshots, for the message of a missing one
+const CAPTURE_SCRIPT = 'npm run cypress:run:structure:capture:<environment>'
+
+
+function writeSnapshot(snapshot_path, structure) {
+    fs.mkdirSync(path.dirname(snapshot_path), { recursive: true })
+    fs.writeFileSync(snapshot_path, JSON.stringify(structure, null, 4) + '\n')
+}
+
+function byKey(nodes) {
+    return (nodes || []).reduce((keyed, node) => Object.assign(keyed, { [node.key]: node }), {})
+}
+
+function describeNode(node) {
+    return Object.keys(node).filter((property) => property !== 'key')
+        .map((property) => `${property}=${JSON.stringify(node[property])}`)
+        .join(' ')
+}
+
+/**
+ * Lists the nodes added to, removed from, and changed in each section of a structural map.
+ *
+ * @param {object} snapshot - The accepted map
+ * @param {object} structure - The current map
+ * @returns {{added: Array<object>, removed: Array<object>, changed: Array<object>}} The differences, in page order
+ */
+function diffStructure(snapshot, structure) {
+    const added = []
+    const removed = []
+    const changed = []
+    const sections = [...new Set(Object.keys(snapshot).concat(Object.keys(structure)))]
+
+    sections.forEach((section) => {
+        const before = byKey(snapshot[section])
+        const after = byKey(structure[section])
+
+        Object.keys(after).filter((key) => !before[key]).forEach((key) => added.push({ section, key, node: after[key] }))
+        Object.keys(before).filter((key) => !after[key]).forEach((key) => removed.push({ section, key, node: before[key] }))
+        Object.keys(after).filter((key) => before[key]).forEach((key) => {
+            const changes = Object.keys(after[key])
+                .filter((property) => before[key][property] !== after[key][property])
+                .map((property) => ({ property, before: before[key][property], after: after[key][property] }))
+            if (changes.length > 0) {
+                changed.push({ section, key, changes })
+            }
+        })
+    })
+
+    return { added, removed, changed }
+}
+
+function formatDiff(name, diff) {
+    const lines = [`Structure of "${name}" compared with its last accepted snapshot`, '']
+
+    lines.push(`Added (${diff.added.length}):`)
+    diff.added.forEach((entry) => lines.push(`  ${entry.section}  ${entry.key}  ${describeNode(entry.node)}`))
+    lines.push('', `Removed (${diff.removed.length}):`)
+    diff.removed.forEach((entry) => lines.push(`  ${entry.section}  ${entry.key}  ${describeNode(entry.node)}`))
+    lines.push('', `Changed (${diff.changed.length}):`)
+    diff.changed.forEach((entry) => {
+        const changes = entry.changes.map((change) => `${change.property}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+        lines.push(`  ${entry.section}  ${entry.key}  ${changes.join(', ')}`)
+    })
+
+    return lines.join('\n') + '\n'
+}
+
+/**
+ * Compares a structural map with the snapshot of the same name.
+ *
+ * @param {object} options
+ * @param {string} options.name - Snapshot name, which may include sub-folders (e.g. "standin/login_page")
+ * @param {object} options.structure - The current structural map of the page
+ * @param {boolean} options.update - Replace the snapshot with the map instead of comparing
+ * @returns {object} The outcome: status ("matched", "changed", "missing", or "updated"), the differences, and file paths
+ */
+function compareStructure({ name, structure, update }) {
+    const snapshot_path = path.join(SNAPSHOTS_FOLDER, `${name}.json`)
+    const report_path = path.join(REPORTS_FOLDER, 'structure', `${name}.txt`)
+    const relative = (file_path) => path.relative(process.cwd(), file_path)
+
+    if (update) {
+        writeSnapshot(snapshot_path, structure)
+        return { name, status: 'updated', snapshot: relative(snapshot_path) }
+    }
+
+    if (!fs.existsSync(snapshot_path)) {
+        return {
+            name,
+            status: 'missing',
+            message: `no snapshot -- capture it with "${CAPTURE_SCRIPT}" and commit it`,
+            snapshot: relative(snapshot_path),
+        }
+    }
+
+    const diff = diffStructure(JSON.parse(fs.readFileSync(snapshot_path, 'utf8')), structure)
+    const difference_count = diff.added.length + diff.removed.length + diff.changed.length
+
+    writeReport(`structure/${name}`, diff)
+    fs.writeFileSync(report_path, formatDiff(name, diff))
+
+    return {
+        name,
+        status: difference_count === 0 ? 'matched' : 'changed',
+        ...diff,
+        summary: `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`,
+        snapshot: relative(snapshot_path),
+        report: relative(report_path),
+    }
+}
+
+/**
+ * Registers the structure snapshot tasks.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerStructureTasks(on) {
+    on('task', {
+        compareStructure,
+    })
+}
+
+module.exports = {
+    compareStructure,
+    diffStructure,
+    registerStructureTasks,
+}
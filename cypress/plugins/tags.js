@@ -0,0 +1,58 @@
+/*
+    Node side of the tag-based test selection (see ./cypress/support/tags.js).
+
+    Normalizes the "includeTags" / "excludeTags" env values -- which may be given as a string separated by spaces or
+    commas (e.g. --env includeTags="@smoke @footer") or as an array in cypress.json -- into arrays of tags, and reports
+    the failures of @transient tests as warnings in the terminal.
+*/
+
+const TAG_FILTER_KEYS = ['includeTags', 'excludeTags']
+
+
+function parseTagList(value) {
+    if (!value) {
+        return []
+    }
+    const tags = Array.isArray(value) ? value : String(value).split(/[\s,]+/)
+    return tags.map((tag) => tag.trim()).filter((tag) => tag.length > 0)
+}
+
+/**
+ * Normalizes the tag filters in config.env, in place.
+ *
+ * @param {Cypress.PluginConfigOptions} config - The resolved Cypress config
+ * @returns {Cypress.PluginConfigOptions} The same config, with includeTags / excludeTags as arrays
+ */
+function normalizeTagFilters(config) {
+    TAG_FILTER_KEYS.forEach((key) => {
+        const tags = parseTagList(config.env[key])
+        const untagged = tags.filter((tag) => !tag.startsWith('@'))
+        if (untagged.length > 0) {
+            throw new Error(`${key} must only contain tags starting with "@" -- got: ${untagged.join(', ')}`)
+        }
+        config.env[key] = tags
+    })
+    return config
+}
+
+/**
+ * Registers the tasks used by the tag support code.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerTagTasks(on) {
+    on('task', {
+        reportTransientWarnings({ spec, warnings }) {
+            console.warn(`\n  WARNING: ${warnings.length} transient test(s) failed in ${spec} (reported as warnings, not failures):`)
+            warnings.forEach(({ test, message }) => {
+                console.warn(`    - ${test}\n        ${message.split('\n').join('\n        ')}`)
+            })
+            return null
+        },
+    })
+}
+
+module.exports = {
+    normalizeTagFilters,
+    registerTagTasks,
+}
@@ -0,0 +1,119 @@
+/*
+    Node side of the visual regression snapshots (see ./cypress/support/visual.js).
+
+    Compares a region screenshot taken by Cypress with its committed baseline in ./cypress/snapshots/visual, pixel by pixel
+    with pixelmatch. When the share of differing pixels is above the region's threshold, the comparison fails and a diff image
+    (differing pixels in red) is written to ./cypress/reports/visual.
+
+    In update mode (--env updateSnapshots=true) the screenshot replaces the baseline instead. Outside update mode, a region
+    without a baseline is "missing": it is not compared, and a warning names the script that captures it -- baselines are
+    committed, so a missing one is never captured silently.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const pixelmatch = require('pixelmatch')
+const { PNG } = require('pngjs')
+const { REPORTS_FOLDER } = require('./reports')
+
+const BASELINES_FOLDER = path.join(__dirname, '..', 'snapshots', 'visual')
+const DIFFS_FOLDER = path.join(REPORTS_FOLDER, 'visual')
+
+// Per-pixel color distance (0 - 1) above which two pixels count as different; anti-aliased pixels are ignored
+const PIXEL_COLOR_THRESHOLD = 0.1
+
+// How to capture the baselines, for the message of a missing one
+const CAPTURE_SCRIPT = 'npm run cypress:run:visual:update'
+
+
+function readPng(file_path) {
+    return PNG.sync.read(fs.readFileSync(file_path))
+}
+
+function copyToBaseline(screenshot_path, baseline_path) {
+    fs.mkdirSync(path.dirname(baseline_path), { recursive: true })
+    fs.copyFileSync(screenshot_path, baseline_path)
+}
+
+/**
+ * Compares a screenshot with the baseline of the same name.
+ *
+ * @param {object} options
+ * @param {string} options.name - Snapshot name, which may include sub-folders (e.g. "local/loginForm")
+ * @param {string} options.screenshot_path - Path of the screenshot Cypress just took
+ * @param {number} options.threshold - Largest share (0 - 1) of differing pixels that still passes
+ * @param {boolean} options.update - Replace the baseline with the screenshot instead of comparing
+ * @returns {object} The outcome: status ("passed", "failed", "missing", or "updated"), the mismatch, and file paths
+ */
+function compareSnapshot({ name, screenshot_path, threshold, update }) {
+    const baseline_path = path.join(BASELINES_FOLDER, `${name}.png`)
+    const diff_path = path.join(DIFFS_FOLDER, `${name}.diff.png`)
+    const relative = (file_path) => path.relative(process.cwd(), file_path)
+
+    if (update) {
+        copyToBaseline(screenshot_path, baseline_path)
+        return { name, status: 'updated', baseline: relative(baseline_path) }
+    }
+    if (!fs.existsSync(baseline_path)) {
+        const message = `no baseline, comparison skipped -- capture it with "${CAPTURE_SCRIPT}" (add --env environment=<name> for another environment) and commit it`
+        console.warn(`  WARNING: "${name}" has ${message}`)
+        return {
+            name,
+            status: 'missing',
+            message,
+            baseline: relative(baseline_path),
+            screenshot: relative(screenshot_path),
+        }
+    }
+
+    const baseline = readPng(baseline_path)
+    const screenshot = readPng(screenshot_path)
+
+    if (baseline.width !== screenshot.width || baseline.height !== screenshot.height) {
+        return {
+            name,
+            status: 'failed',
+            message: `size changed from ${baseline.width}x${baseline.height} to ${screenshot.width}x${screenshot.height}`,
+            baseline: relative(baseline_path),
+            screenshot: relative(screenshot_path),
+        }
+    }
+
+    const { width, height } = baseline
+    const diff = new PNG({ width, height })
+    const different_pixels = pixelmatch(baseline.data, screenshot.data, diff.data, width, height, { threshold: PIXEL_COLOR_THRESHOLD })
+    const mismatch = different_pixels / (width * height)
+    const passed = mismatch <= threshold
+
+    if (!passed) {
+        fs.mkdirSync(path.dirname(diff_path), { recursive: true })
+        fs.writeFileSync(diff_path, PNG.sync.write(diff))
+    }
+
+    return {
+        name,
+        status: passed ? 'passed' : 'failed',
+        message: `${(mismatch * 100).toFixed(3)}% of pixels differ (threshold ${(threshold * 100).toFixed(3)}%)`,
+        mismatch,
+        threshold,
+        baseline: relative(baseline_path),
+        screenshot: relative(screenshot_path),
+        diff: passed ? null : relative(diff_path),
+    }
+}
+
+/**
+ * Registers the visual snapshot tasks.
+ *
+ * @param {Cypress.PluginEvents} on - Used to register the tasks
+ */
+function registerVisualTasks(on) {
+    on('task', {
+        compareSnapshot,
+    })
+}
+
+module.exports = {
+    compareSnapshot,
+    registerVisualTasks,
+}
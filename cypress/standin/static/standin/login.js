@@ -0,0 +1,253 @@
+/*
+    Stand-in behavior for the captured Login page. Mirrors what the live page does closely enough for the
+    suites: floating placeholders, the Show / Hide password toggle, Log In button enablement, AJAX login
+    submission, the Facebook login handoff, the phone screen carousel, and switching the display language.
+
+    Like on the live page, the Show / Hide button is not in the DOM while the password field is empty: it is
+    added on the first character and removed again when the field is cleared.
+*/
+(function () {
+    'use strict'
+
+    var MIN_PASSWORD_LENGTH = 6
+    var CAROUSEL_INTERVAL_MS = 5000
+    var LOGIN_ENDPOINT = '/accounts/login/ajax/'
+    var LOGIN_SUCCESS_URL = '/accounts/onetap/?next=%2F'
+    var TWO_FACTOR_URL = '/accounts/login/two_factor?next=%2F'
+    var RATE_LIMITED_MESSAGE = 'Please wait a few minutes before you try again.'
+    var GENERIC_ERROR_MESSAGE = 'There was a problem logging you into Instagram. Please try again soon.'
+
+    var FACEBOOK_DIALOG_URL = 'https://www.facebook.com/v13.0/dialog/oauth'
+    var FACEBOOK_APP_ID = '124024574287414'
+    var FACEBOOK_SCOPES = 'email'
+    var FACEBOOK_REDIRECT_PATH = '/accounts/login/'
+    var FACEBOOK_LOGIN_ENDPOINT = '/accounts/login/ajax/facebook/'
+    var FACEBOOK_STATE_KEY = 'facebook_login_state'
+    var FACEBOOK_DENIED_MESSAGE = 'Facebook login was canceled. Log in with your username and password, or try again.'
+    var FACEBOOK_ERROR_MESSAGE = 'There was a problem logging you in with Facebook. Please try again.'
+
+    var form = document.getElementById('loginForm')
+    var username_input = form.querySelector('input[name="username"]')
+    var password_input = form.querySelector('input[name="password"]')
+    var password_field = password_input.closest('.field')
+    var password_toggle_template = document.getElementById('passwordToggleTemplate')
+    var password_toggle = null
+    var submit_button = form.querySelector('button[type="submit"]')
+    var facebook_row = form.querySelector('.facebook-row')
+    var facebook_button = facebook_row.querySelector('button')
+    var language_select = document.querySelector('footer select')
+
+
+    function updateFloatingLabel(input) {
+        input.parentNode.classList.toggle('has-value', input.value.length > 0)
+    }
+
+    function canSubmit() {
+        return username_input.value.trim().length > 0 && password_input.value.length >= MIN_PASSWORD_LENGTH
+    }
+
+    function updateSubmitButton() {
+        submit_button.disabled = !canSubmit()
+    }
+
+    function togglePasswordVisibility(event) {
+        var button = event.currentTarget
+        var selection_start = password_input.selectionStart
+        var selection_end = password_input.selectionEnd
+        var is_masked = password_input.type === 'password'
+
+        password_input.type = is_masked ? 'text' : 'password'
+        button.textContent = button.getAttribute(is_masked ? 'data-hide-label' : 'data-show-label')
+        password_input.setSelectionRange(selection_start, selection_end)
+    }
+
+    function updatePasswordToggle() {
+        if (password_input.value.length === 0) {
+            if (password_toggle) {
+                password_field.removeChild(password_toggle)
+                password_toggle = null
+            }
+            password_input.type = 'password'
+        } else if (!password_toggle) {
+            // A fresh copy of the button, so it always starts out as Show
+            password_toggle = password_toggle_template.content.firstElementChild.cloneNode(true)
+            password_toggle.querySelector('button').addEventListener('click', togglePasswordVisibility)
+            password_field.appendChild(password_toggle)
+        }
+    }
+
+    function showError(message) {
+        var alert = document.getElementById('slfErrorAlert')
+        if (!alert) {
+            alert = document.createElement('p')
+            alert.id = 'slfErrorAlert'
+            alert.className = 'error-alert'
+            alert.setAttribute('role', 'alert')
+            facebook_row.parentNode.insertBefore(alert, facebook_row.nextSibling)
+        }
+        alert.textContent = message
+    }
+
+    function clearError() {
+        var alert = document.getElementById('slfErrorAlert')
+        if (alert) {
+            alert.parentNode.removeChild(alert)
+        }
+    }
+
+    function handleLoginResponse(status, body) {
+        if (body && body.authenticated) {
+            window.location.assign(LOGIN_SUCCESS_URL)
+        } else if (body && body.two_factor_required) {
+            window.location.assign(TWO_FACTOR_URL)
+        } else if (body && body.message === 'checkpoint_required' && body.checkpoint_url) {
+            window.location.assign(body.checkpoint_url)
+        } else if (status === 429) {
+            showError((body && body.message) || RATE_LIMITED_MESSAGE)
+        } else if (status >= 500 || !body) {
+            showError(GENERIC_ERROR_MESSAGE)
+        } else if (body.user === false) {
+            showError("The username you entered doesn't belong to an account. Please check your username and try again.")
+        } else if (body.user === true) {
+            showError('Sorry, your password was incorrect. Please double-check your password.')
+        } else {
+            showError(GENERIC_ERROR_MESSAGE)
+        }
+    }
+
+    function submitLogin() {
+        var params = new URLSearchParams()
+        params.set('username', username_input.value)
+        params.set('enc_password', '#PWD_INSTAGRAM_BROWSER:0:' + Math.floor(Date.now() / 1000) + ':' + password_input.value)
+        params.set('queryParams', '{}')
+        params.set('optIntoOneTap', 'false')
+
+        clearError()
+        submit_button.disabled = true
+
+        return fetch(LOGIN_ENDPOINT, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: params.toString()
+        }).then(function (response) {
+            return response.json().catch(function () {
+                return null
+            }).then(function (body) {
+                handleLoginResponse(response.status, body)
+            })
+        }).catch(function () {
+            showError(GENERIC_ERROR_MESSAGE)
+        }).then(updateSubmitButton)
+    }
+
+    function createNonce() {
+        var bytes = new Uint8Array(16)
+        window.crypto.getRandomValues(bytes)
+        return Array.prototype.map.call(bytes, function (byte) {
+            return ('0' + byte.toString(16)).slice(-2)
+        }).join('')
+    }
+
+    // Hands off to the Facebook OAuth dialog, which redirects back to the Login page with a code (or an error)
+    function startFacebookLogin() {
+        var state = createNonce()
+        var params = new URLSearchParams()
+        params.set('client_id', FACEBOOK_APP_ID)
+        params.set('redirect_uri', window.location.origin + FACEBOOK_REDIRECT_PATH)
+        params.set('response_type', 'code,granted_scopes')
+        params.set('scope', FACEBOOK_SCOPES)
+        params.set('state', state)
+
+        window.sessionStorage.setItem(FACEBOOK_STATE_KEY, state)
+        window.location.assign(FACEBOOK_DIALOG_URL + '?' + params.toString())
+    }
+
+    // The return leg of the handoff: the Login page loaded with Facebook's callback parameters
+    function finishFacebookLogin() {
+        var callback = new URLSearchParams(window.location.search)
+        if (!callback.has('code') && !callback.has('error')) {
+            return
+        }
+
+        var expected_state = window.sessionStorage.getItem(FACEBOOK_STATE_KEY)
+        window.sessionStorage.removeItem(FACEBOOK_STATE_KEY)
+        window.history.replaceState(null, '', window.location.pathname)
+
+        if (!expected_state || callback.get('state') !== expected_state) {
+            showError(FACEBOOK_ERROR_MESSAGE)
+        } else if (callback.has('error')) {
+            showError(callback.get('error_reason') === 'user_denied' ? FACEBOOK_DENIED_MESSAGE : FACEBOOK_ERROR_MESSAGE)
+        } else {
+            var params = new URLSearchParams()
+            params.set('code', callback.get('code'))
+            params.set('state', callback.get('state'))
+
+            fetch(FACEBOOK_LOGIN_ENDPOINT, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                body: params.toString()
+            }).then(function (response) {
+                return response.json()
+            }).then(function (body) {
+                if (body && body.authenticated) {
+                    window.location.assign(LOGIN_SUCCESS_URL)
+                } else {
+                    showError(FACEBOOK_ERROR_MESSAGE)
+                }
+            }).catch(function () {
+                showError(FACEBOOK_ERROR_MESSAGE)
+            })
+        }
+    }
+
+
+    username_input.addEventListener('input', function () {
+        updateFloatingLabel(username_input)
+        updateSubmitButton()
+    })
+
+    password_input.addEventListener('input', function () {
+        updateFloatingLabel(password_input)
+        updatePasswordToggle()
+        updateSubmitButton()
+    })
+
+    facebook_button.addEventListener('click', startFacebookLogin)
+
+    form.addEventListener('submit', function (event) {
+        event.preventDefault()
+        if (canSubmit()) {
+            submitLogin()
+        }
+    })
+
+
+    finishFacebookLogin()
+
+
+    // Switching the display language reloads the page in the chosen language
+    language_select.addEventListener('change', function () {
+        window.location.search = '?hl=' + encodeURIComponent(language_select.value)
+    })
+
+
+    // Phone screen carousel -- cross-fades to the next screenshot on a fixed interval and loops back to the first
+    var phone_screens = document.querySelectorAll('.phone-screen')
+    var active_screen = 0
+
+    if (phone_screens.length > 1) {
+        window.setInterval(function () {
+            phone_screens[active_screen].classList.remove('is-active')
+            active_screen = (active_screen + 1) % phone_screens.length
+            phone_screens[active_screen].classList.add('is-active')
+        }, CAROUSEL_INTERVAL_MS)
+    }
+})()
@@ -0,0 +1,106 @@
+/*
+    Stand-in behavior for the password reset page: floating placeholder, Send login link enablement, and the
+    AJAX request for a login link, with a dialog when it was sent and an error below the form when it was not.
+*/
+(function () {
+    'use strict'
+
+    var RESET_ENDPOINT = '/accounts/account_recovery_send_ajax/'
+    var RATE_LIMITED_MESSAGE = 'Please wait a few minutes before you try again.'
+    var GENERIC_ERROR_MESSAGE = 'Sorry, something went wrong. Please try again.'
+
+    var form = document.getElementById('passwordResetForm')
+    var input = form.querySelector('input[name="cppEmailOrUsername"]')
+    var submit_button = form.querySelector('button[type="submit"]')
+    var submit_row = form.querySelector('.submit-row')
+
+
+    function updateForm() {
+        input.parentNode.classList.toggle('has-value', input.value.length > 0)
+        submit_button.disabled = input.value.trim().length === 0
+    }
+
+    function showError(message) {
+        var alert = document.getElementById('slfErrorAlert')
+        if (!alert) {
+            alert = document.createElement('p')
+            alert.id = 'slfErrorAlert'
+            alert.className = 'error-alert'
+            alert.setAttribute('role', 'alert')
+            submit_row.parentNode.insertBefore(alert, submit_row.nextSibling)
+        }
+        alert.textContent = message
+    }
+
+    function clearError() {
+        var alert = document.getElementById('slfErrorAlert')
+        if (alert) {
+            alert.parentNode.removeChild(alert)
+        }
+    }
+
+    // The "Email Sent" / "SMS Sent" dialog -- OK closes it and leaves the form as it was
+    function showSentDialog(title, body) {
+        var dialog = document.createElement('div')
+        dialog.className = 'dialog'
+        dialog.setAttribute('role', 'dialog')
+        dialog.setAttribute('aria-modal', 'true')
+        dialog.setAttribute('aria-labelledby', 'resetDialogTitle')
+        dialog.innerHTML = '<h3 id="resetDialogTitle"></h3><p></p><button type="button">OK</button>'
+        dialog.querySelector('h3').textContent = title
+        dialog.querySelector('p').textContent = body
+        dialog.querySelector('button').addEventListener('click', function () {
+            dialog.parentNode.removeChild(dialog)
+        })
+        document.body.appendChild(dialog)
+        dialog.querySelector('button').focus()
+    }
+
+    function handleResetResponse(status, body) {
+        if (status === 200 && body && body.status === 'ok') {
+            showSentDialog(body.title, body.body)
+        } else if (status === 429) {
+            showError((body && body.message) || RATE_LIMITED_MESSAGE)
+        } else if (status >= 500 || !body || !body.message) {
+            showError(GENERIC_ERROR_MESSAGE)
+        } else {
+            showError(body.message)
+        }
+    }
+
+    function requestLoginLink() {
+        var params = new URLSearchParams()
+        params.set('email_or_username', input.value.trim())
+
+        clearError()
+        submit_button.disabled = true
+
+        return fetch(RESET_ENDPOINT, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: params.toString()
+        }).then(function (response) {
+            return response.json().catch(function () {
+                return null
+            }).then(function (body) {
+                handleResetResponse(response.status, body)
+            })
+        }).catch(function () {
+            showError(GENERIC_ERROR_MESSAGE)
+        }).then(updateForm)
+    }
+
+
+    input.addEventListener('input', updateForm)
+
+    form.addEventListener('submit', function (event) {
+        event.preventDefault()
+        if (input.value.trim().length > 0) {
+            requestLoginLink()
+        }
+    })
+})()
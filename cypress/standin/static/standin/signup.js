@@ -0,0 +1,120 @@
+/*
+    Stand-in behavior for the sign-up page: floating placeholders, the inline validation markers, and Sign up button
+    enablement. Like the live page, each field is checked when it loses focus, by a dry run of the account creation
+    request -- its errors mark the fields that did not pass, and every other filled-in field is marked as accepted.
+*/
+(function () {
+    'use strict'
+
+    var ATTEMPT_ENDPOINT = '/accounts/web_create_ajax/attempt/'
+
+    var form = document.getElementById('signUpForm')
+    var submit_button = form.querySelector('button[type="submit"]')
+
+    // The fields of the form, and the keys of the dry run's errors that belong to each
+    var FIELDS = [
+        { input: form.querySelector('input[name="emailOrPhone"]'), error_keys: ['email', 'phone_number'] },
+        { input: form.querySelector('input[name="fullName"]'), error_keys: ['first_name'] },
+        { input: form.querySelector('input[name="username"]'), error_keys: ['username'] },
+        { input: form.querySelector('input[name="password"]'), error_keys: ['password'] }
+    ]
+
+    // Only the latest dry run's errors are shown
+    var latest_attempt = 0
+
+
+    function isFilledIn(field) {
+        return field.input.value.trim().length > 0
+    }
+
+    function updateSubmitButton() {
+        submit_button.disabled = !FIELDS.every(function (field) {
+            return isFilledIn(field) && field.input.getAttribute('aria-invalid') !== 'true'
+        })
+    }
+
+    function setMarker(field, error) {
+        var container = field.input.closest('.field')
+        var marker = container.querySelector('.field-marker')
+
+        if (!isFilledIn(field)) {
+            if (marker) {
+                container.removeChild(marker)
+            }
+            field.input.removeAttribute('aria-invalid')
+            return
+        }
+        if (!marker) {
+            marker = document.createElement('span')
+            marker.setAttribute('role', 'img')
+            container.appendChild(marker)
+        }
+        marker.className = 'field-marker ' + (error ? 'is-invalid' : 'is-valid')
+        marker.setAttribute('aria-label', error ? 'Error' : 'Accepted')
+        marker.title = error ? error.message : ''
+        field.input.setAttribute('aria-invalid', error ? 'true' : 'false')
+    }
+
+    function errorOf(field, errors) {
+        var key = field.error_keys.filter(function (error_key) {
+            return errors[error_key] && errors[error_key].length > 0
+        })[0]
+        return key ? errors[key][0] : null
+    }
+
+    function checkFields() {
+        latest_attempt += 1
+
+        var attempt = latest_attempt
+        var email_or_phone = FIELDS[0].input.value.trim()
+        var params = new URLSearchParams()
+
+        params.set(email_or_phone.indexOf('@') === -1 && /\d/.test(email_or_phone) ? 'phone_number' : 'email', email_or_phone)
+        params.set('first_name', FIELDS[1].input.value.trim())
+        params.set('username', FIELDS[2].input.value.trim())
+        params.set('enc_password', '#PWD_INSTAGRAM_BROWSER:0:' + Math.floor(Date.now() / 1000) + ':' + FIELDS[3].input.value)
+
+        return fetch(ATTEMPT_ENDPOINT, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: params.toString()
+        }).then(function (response) {
+            return response.json()
+        }).then(function (body) {
+            if (attempt !== latest_attempt) {
+                return
+            }
+            var errors = (body && body.errors) || {}
+            FIELDS.forEach(function (field) {
+                setMarker(field, errorOf(field, errors))
+            })
+            updateSubmitButton()
+        }).catch(function () {
+            // Without an answer, the fields are left unmarked -- as on the live page
+        })
+    }
+
+
+    FIELDS.forEach(function (field) {
+        field.input.addEventListener('input', function () {
+            field.input.parentNode.classList.toggle('has-value', field.input.value.length > 0)
+            if (!isFilledIn(field)) {
+                setMarker(field, null)
+            }
+            updateSubmitButton()
+        })
+        field.input.addEventListener('blur', function () {
+            if (isFilledIn(field)) {
+                checkFields()
+            }
+        })
+    })
+
+    form.addEventListener('submit', function (event) {
+        event.preventDefault()
+    })
+})()
@@ -0,0 +1,120 @@
+/*
+    Accessibility auditing with axe-core.
+
+        cy.auditA11y('loginForm')           -- audits one of the named scopes in A11Y_SCOPES
+        cy.auditA11y('main h1')             -- or any other selector
+
+    Each audit runs axe-core against the scope and compares the violations with the committed baseline of known violations
+    of the environment (./cypress/snapshots/a11y/<environment>.json, read by the tasks in ./cypress/plugins/a11y.js). Only
+    violations that are not in the baseline fail the test. Every violation -- known or new -- is recorded with its rule,
+    impact, selector, and suggested fix, and written to ./cypress/reports/accessibility.json at the end of the spec.
+
+    A baseline entry is { "scope": ..., "rule": ..., "selector": ... }, with the axe target selector of one known violating
+    element -- so that a new element violating the same rule still fails. To record the violations found as the
+    environment's baseline, run with --env updateSnapshots=true and review the changes before committing them. An
+    environment without a baseline is not compared -- the comparison is skipped, with a warning, until one is recorded.
+*/
+
+import { envConfig, isUpdateMode } from './environment'
+
+// Regions of the Login page that are audited by name
+export const A11Y_SCOPES = {
+    page: 'html',
+    loginForm: '#loginForm',
+    footer: 'footer[role="contentinfo"]',
+    phoneGraphic: 'main article',
+}
+
+const AXE_SOURCE_PATH = 'node_modules/axe-core/axe.min.js'
+const AUDIT_TIMEOUT_MS = 30000
+
+// Violations found by every audit in the spec, for the report
+const audit_results = []
+
+
+/*
+    Flattens axe-core violations to one entry per element.
+*/
+function toViolationEntries(scope_name, violations) {
+    return violations.reduce((entries, violation) => entries.concat(violation.nodes.map((node) => ({
+        scope: scope_name,
+        rule: violation.id,
+        impact: violation.impact,
+        selector: node.target.join(' '),
+        description: violation.help,
+        fix: node.failureSummary,
+        help_url: violation.helpUrl,
+    }))), [])
+}
+
+function isKnownViolation(baseline, entry) {
+    return baseline.some((known) => known.scope === entry.scope
+        && known.rule === entry.rule
+        && known.selector === entry.selector)
+}
+
+function compareWithBaseline(scope_name, violations) {
+    const name = envConfig('name')
+
+    if (isUpdateMode()) {
+        return cy.task('recordA11yBaseline', { name, scope: scope_name, violations }, { log: false })
+            .then((baseline_path) => ({ new_violations: [], message: `recorded in ${baseline_path}` }))
+    }
+    return cy.task('readA11yBaseline', name, { log: false }).then(({ baseline, message }) => (baseline
+        ? { new_violations: violations.filter((entry) => !isKnownViolation(baseline, entry)), message: '' }
+        : { new_violations: [], message }))
+}
+
+function formatViolations(scope_name, violations) {
+    const lines = violations.map((entry) => `  - [${entry.impact}] ${entry.rule} at ${entry.selector}: ${entry.description}`)
+    return `${violations.length} new accessibility violation(s) in "${scope_name}":\n${lines.join('\n')}`
+}
+
+
+/*
+    Injects axe-core into the page under test, unless it is already there (it is lost on every page load).
+*/
+Cypress.Commands.add('injectAxe', () => {
+    cy.window({ log: false }).then((win) => {
+        if (win.axe) {
+            return
+        }
+        cy.readFile(AXE_SOURCE_PATH, { log: false }).then((axe_source) => {
+            win.eval(axe_source)
+        })
+    })
+})
+
+Cypress.Commands.add('auditA11y', (scope = 'page', options = {}) => {
+    const scope_name = scope
+    const selector = A11Y_SCOPES[scope] || scope
+
+    cy.injectAxe()
+    cy.get(selector, { log: false }).should('exist').then(($scope) => {
+        cy.window({ log: false }).then((win) => {
+            const audit = win.axe.run($scope[0], { resultTypes: ['violations'], ...options })
+
+            return cy.wrap(audit, { log: false, timeout: AUDIT_TIMEOUT_MS }).then((results) => {
+                const violations = toViolationEntries(scope_name, results.violations)
+
+                compareWithBaseline(scope_name, violations).then(({ new_violations, message }) => {
+                    audit_results.push({ scope: scope_name, selector, url: win.location.href, violations, new_violations })
+                    Cypress.log({
+                        name: 'auditA11y',
+                        message: `${scope_name}: ${violations.length} violation(s), ${new_violations.length} new${message ? ` -- ${message}` : ''}`,
+                        consoleProps: () => ({ scope: scope_name, selector, violations, new_violations }),
+                    })
+
+                    assert(new_violations.length === 0, formatViolations(scope_name, new_violations))
+                })
+            })
+        })
+    })
+})
+
+
+after(() => {
+    if (audit_results.length > 0) {
+        cy.task('writeReport', { name: 'accessibility', report: audit_results.splice(0) }, { log: false })
+    }
+})
@@ -0,0 +1,144 @@
+/*
+    Console error monitoring -- console.error() and console.warn() calls, uncaught exceptions, and unhandled promise
+    rejections of the page under test.
+
+    Every window the tests load has its console.error() and console.warn() wrapped before its scripts run, so that each
+    call is recorded (and still printed). Uncaught exceptions and unhandled rejections are recorded through Cypress's
+    uncaught:exception event instead of failing the test on the spot. Each entry is shown in the Command Log as it happens.
+
+    At the end of each test, the entries that match none of the patterns in ./cypress/fixtures/console_allowlist.json fail
+    the test, all listed in a single failure. An allowlist entry may be limited to one type of entry ("console.error",
+    "console.warn", "uncaught exception", or "unhandled rejection"); add known noise there, with a note on where it comes
+    from. The entries of every test -- allowed or not, with the test's outcome -- are written per spec to
+    ./cypress/reports/console/<spec>.json.
+*/
+
+import console_allowlist from '../fixtures/console_allowlist.json'
+
+// The console methods that are watched, and the type of their entries
+const WATCHED_METHODS = {
+    error: 'console.error',
+    warn: 'console.warn',
+}
+
+// Entries of the current test (and of the hooks that ran before it), and the tests of the spec that had entries
+let test_entries = []
+const spec_results = []
+
+// The last window the tests loaded -- where uncaught exceptions come from
+let page_window = null
+
+
+function allowlistEntryFor(type, message) {
+    return console_allowlist.allowed_messages.find((allowed) => (!allowed.type || allowed.type === type)
+        && new RegExp(allowed.pattern).test(message))
+}
+
+/*
+    A console argument as text -- errors by their message, objects as JSON where they can be.
+*/
+function formatArgument(arg) {
+    if (arg instanceof Error || (arg && typeof arg.message === 'string' && typeof arg.stack === 'string')) {
+        return arg.message
+    }
+    if (arg !== null && typeof arg === 'object') {
+        try {
+            return JSON.stringify(arg)
+        } catch (err) {
+            return String(arg)
+        }
+    }
+    return String(arg)
+}
+
+function recordEntry(type, message, url) {
+    const allowed = allowlistEntryFor(type, message)
+    const entry = { type, message, url, allowed_by: allowed ? allowed.note : null }
+
+    test_entries.push(entry)
+    Cypress.log({
+        name: type,
+        message: `${message}${allowed ? ' (allowed)' : ''}`,
+        consoleProps: () => entry,
+    })
+}
+
+function formatEntries(entries) {
+    const lines = entries.map((entry) => `  - ${entry.type}: ${entry.message.split('\n')[0]}`)
+    return `${entries.length} unexpected console message(s) from the page (see ./cypress/fixtures/console_allowlist.json):\n${lines.join('\n')}`
+}
+
+function verifyNoUnexpectedEntries() {
+    const unexpected = test_entries.filter((entry) => !entry.allowed_by)
+    if (unexpected.length > 0) {
+        throw new Error(formatEntries(unexpected))
+    }
+}
+
+/*
+    Adds the console check to the end of a test. Tests that take a done callback are left as they are.
+*/
+function withConsoleCheck(fn) {
+    if (typeof fn !== 'function' || fn.length > 0) {
+        return fn
+    }
+    return function () {
+        const result = fn.apply(this, arguments)
+        cy.then(verifyNoUnexpectedEntries)
+        return result
+    }
+}
+
+function wrapIt(original) {
+    return function (title, config, fn) {
+        return typeof config === 'function'
+            ? original(title, withConsoleCheck(config))
+            : original(title, config, withConsoleCheck(fn))
+    }
+}
+
+function installWrappers(name) {
+    const original = window[name]
+    const wrapped = wrapIt(original)
+    wrapped.only = wrapIt(original.only)
+    wrapped.skip = original.skip
+    window[name] = wrapped
+}
+
+
+installWrappers('it')
+installWrappers('specify')
+
+
+Cypress.on('window:before:load', (win) => {
+    page_window = win
+
+    Object.keys(WATCHED_METHODS).forEach((method) => {
+        const original = win.console[method]
+
+        win.console[method] = function (...args) {
+            recordEntry(WATCHED_METHODS[method], args.map(formatArgument).join(' '), win.location.href)
+            return original.apply(this, args)
+        }
+    })
+})
+
+// Returning false keeps Cypress from failing the test on the spot -- the entry fails it at the end instead, unless allowed
+Cypress.on('uncaught:exception', (err, runnable, promise) => {
+    recordEntry(promise ? 'unhandled rejection' : 'uncaught exception', err.message, page_window ? page_window.location.href : null)
+    return false
+})
+
+afterEach(function () {
+    if (test_entries.length > 0) {
+        spec_results.push({ test: this.currentTest.fullTitle(), state: this.currentTest.state, entries: test_entries })
+    }
+    test_entries = []
+})
+
+after(() => {
+    if (spec_results.length > 0) {
+        const name = `console/${Cypress.spec.name.replace(/(\.spec)?\.js$/, '')}`
+        cy.task('writeReport', { name, report: spec_results.splice(0) }, { log: false })
+    }
+})
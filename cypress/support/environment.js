@@ -0,0 +1,37 @@
+/*
+    The settings of the environment the suites run against.
+
+        envConfig('name')                   -- "production", "staging", or "local"
+        envConfig('standin')                -- the stand-in settings, or null when running against a real site
+        envConfig('expected.pageTitle')     -- an expected value, with this environment's overrides applied
+        isUpdateMode()                      -- whether the run captures new snapshots (--env updateSnapshots=true)
+
+    The environment profile is selected with --env environment=<name>, and is loaded and merged over the shared defaults
+    in ./cypress/plugins/environments.js (see the profiles in ./cypress/environments).
+*/
+
+/*
+    Reads a setting of the environment profile by its dotted path. A path that is not in the profile is an error rather
+    than undefined, so that a misspelled key fails the test that uses it.
+*/
+export function envConfig(key_path) {
+    const profile = Cypress.env('environmentProfile')
+    if (!profile) {
+        throw new Error('No environment profile loaded -- the plugins file (./cypress/plugins/index.js) sets it')
+    }
+
+    return key_path.split('.').reduce((settings, key) => {
+        if (settings === null || typeof settings !== 'object' || !(key in settings)) {
+            throw new Error(`Unknown environment setting "${key_path}" in the ${profile.name} environment`)
+        }
+        return settings[key]
+    }, profile)
+}
+
+/*
+    Whether the run replaces the committed snapshots (visual baselines, structure snapshots) instead of comparing with them.
+*/
+export function isUpdateMode() {
+    const update = Cypress.env('updateSnapshots')
+    return update === true || update === 'true'
+}
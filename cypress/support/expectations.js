@@ -0,0 +1,97 @@
+/*
+    Expected values that depend on when, where, and on what the tests run -- computed rather than written into the specs.
+
+        currentYear()               -- the year the page's copyright line should carry
+        activeLocale()              -- the locale of the page under test
+        expectedText('log_in')      -- a string of the active locale's catalog (see ./localization.js)
+        copyrightText()             -- "© <year> Instagram from Meta", in the active locale
+        pageTitle()                 -- the (DOM) title of the Login page, in the active locale
+        signUpPageTitle()           -- the (DOM) title of the sign-up page, in the active locale
+        badgeText('appStore')       -- the alt text of an app store badge on this platform
+
+    The year is the current one, unless the page's clock is pinned (cy.clock()) -- then give the year it is pinned to with
+    --env currentYear=<year>. The locale is English unless another one is given with --env locale=<locale> -- the Login
+    page is then loaded in that language (see LoginForm.visit()).
+*/
+
+import { envConfig } from './environment'
+import { DEFAULT_LOCALE, LOCALE_CATALOGS } from './localization'
+
+// Catalog sections that only the catalogs with confirmed translations have -- other locales expect the English text
+const ENGLISH_FALLBACK_SECTIONS = ['messages', 'sign_up_page']
+
+// The catalog badge shown for each store, by platform -- on Windows, Instagram offers its Microsoft Store app instead
+const STORE_BADGES = {
+    appStore: { win32: 'microsoft_store', default: 'app_store' },
+    googlePlay: { default: 'google_play' },
+}
+
+
+export function currentYear() {
+    const pinned_year = Cypress.env('currentYear')
+    return pinned_year ? Number(pinned_year) : new Date().getFullYear()
+}
+
+export function activeLocale() {
+    const locale = Cypress.env('locale') || DEFAULT_LOCALE
+    if (!LOCALE_CATALOGS[locale]) {
+        throw new Error(`No locale catalog for "${locale}" -- expected one of: ${Object.keys(LOCALE_CATALOGS).join(', ')}`)
+    }
+    return locale
+}
+
+/*
+    A page string or label of the active locale's catalog, the label of a footer link (by its href), a message the page
+    shows (a login error, for one), a string of the sign-up page, or the language name ("language"). Messages and
+    sign-up page strings are only in the catalogs that have them translated, so the other locales expect the English text.
+*/
+export function expectedText(key) {
+    const catalog = LOCALE_CATALOGS[activeLocale()]
+
+    if (key === 'language') {
+        return catalog.language
+    }
+    const sections = [catalog.strings, catalog.labels, catalog.footer_links]
+        .concat(ENGLISH_FALLBACK_SECTIONS.map((section) => catalog[section] || LOCALE_CATALOGS[DEFAULT_LOCALE][section]))
+    const section = sections.find((candidate) => key in candidate)
+    const text = section && section[key]
+    if (text === undefined) {
+        throw new Error(`No expected text "${key}" in the ${activeLocale()} catalog`)
+    }
+    return text.replace('{year}', currentYear())
+}
+
+export function copyrightText() {
+    return expectedText('copyright')
+}
+
+/*
+    The environment's expected titles in the default locale, and the catalog's titles in any other.
+*/
+export function pageTitle() {
+    return activeLocale() === DEFAULT_LOCALE ? envConfig('expected.pageTitle') : expectedText('page_title')
+}
+
+export function signUpPageTitle() {
+    return activeLocale() === DEFAULT_LOCALE ? envConfig('expected.signUpPageTitle') : expectedText('sign_up_page_title')
+}
+
+/*
+    The badges' alt text is only in the English catalog, so other locales expect the English text. The badge is the one
+    offered on the platform the browser runs on, unless the environment expects a fixed text for it (the stand-in serves
+    the same badges everywhere).
+*/
+export function badgeText(store) {
+    const badges = STORE_BADGES[store]
+    if (!badges) {
+        throw new Error(`Unknown app store "${store}" -- expected one of: ${Object.keys(STORE_BADGES).join(', ')}`)
+    }
+
+    const expected_text = envConfig('expected.badgeText')[store]
+    if (expected_text) {
+        return expected_text
+    }
+
+    const catalog_badges = LOCALE_CATALOGS[activeLocale()].badges || LOCALE_CATALOGS[DEFAULT_LOCALE].badges
+    return catalog_badges[badges[Cypress.platform] || badges.default]
+}
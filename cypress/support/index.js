@@ -16,5 +16,29 @@
 // Import commands.js using ES2015 syntax:
 import './commands'
 
+// Native keyboard and pointer events through the Chrome DevTools Protocol: cy.realPress(), cy.realType()
+import 'cypress-real-events/support'
+
+// Selector registry with fallback strategies: cy.resolve(name), and the selector drift report
+import './selectors'
+
+// Tag-based test selection (includeTags / excludeTags) and transient test warnings
+import './tags'
+
+// Console error monitoring: unexpected console errors, warnings, and uncaught exceptions of the page fail the test
+import './console'
+
+// Viewport profiles: every suite once per profile with --env viewports=all
+import './viewports'
+
+// Accessibility auditing with axe-core: cy.injectAxe(), cy.auditA11y(scope)
+import './a11y'
+
+// Visual regression snapshots of page regions: cy.matchRegionSnapshot(region)
+import './visual'
+
+// Network traffic capture of every test, written as a HAR-like file per spec to ./cypress/reports/network
+import './network'
+
 // Alternatively you can use CommonJS syntax:
 // require('./commands')
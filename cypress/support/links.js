@@ -0,0 +1,181 @@
+/*
+    Link health checks -- requesting the target of every link on a page and following its redirects.
+
+    Each link is requested with cy.request, one redirect at a time, so that the whole redirect chain is recorded: the URL
+    and status of every hop, and the final URL. A link is flagged when its final status is 4xx / 5xx, when its redirects
+    loop (or go on for more than max_redirects), or when a redirect hops to another site that is not listed in
+    allowed_cross_domain_hops (./cypress/fixtures/link_health.json). A link to another site is not a hop in itself --
+    only the redirects after it are.
+
+    Against the local stand-in, links to other sites are requested through the stand-in's /__links/ stub route, so the
+    checks run without network access.
+*/
+
+import link_health from '../fixtures/link_health.json'
+import { envConfig } from './environment'
+
+// Stand-in route that answers for links to other sites -- see ./cypress/plugins/standin.js
+const LINK_STUB_PATH = '__links/'
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+
+function isStandIn() {
+    return Boolean(envConfig('standin'))
+}
+
+// The site the suites test -- also the site of the stand-in, which stands in for it under another host name
+const SITE_UNDER_TEST = 'instagram.com'
+
+/*
+    The site of a URL -- its last two host name labels, so that "about.instagram.com" and "www.instagram.com" are the same site.
+    The host of the site under test (baseUrl) is instagram.com whatever its name, so that the stand-in's redirects to
+    instagram.com hosts are not cross-domain.
+*/
+function siteOf(url) {
+    const hostname = new URL(url).hostname
+    if (hostname === new URL(Cypress.config('baseUrl')).hostname) {
+        return SITE_UNDER_TEST
+    }
+    return hostname.split('.').slice(-2).join('.')
+}
+
+function isAllowedHop(from_url, to_url) {
+    const from_site = siteOf(from_url)
+    const to_site = siteOf(to_url)
+
+    return from_site === to_site
+        || link_health.allowed_cross_domain_hops.some((hop) => hop.from === from_site && hop.to === to_site)
+}
+
+/*
+    The URL to request for a link: the link itself, or its stub on the stand-in when the link leaves the stand-in.
+*/
+function requestUrlFor(url) {
+    const base_url = Cypress.config('baseUrl')
+
+    if (!isStandIn() || new URL(url).origin === new URL(base_url).origin) {
+        return url
+    }
+    return `${base_url}${LINK_STUB_PATH}?url=${encodeURIComponent(url)}`
+}
+
+function findProblems(chain, loop_url) {
+    const problems = []
+    const final_hop = chain[chain.length - 1]
+
+    if (loop_url) {
+        problems.push(`redirect loop back to ${loop_url}`)
+    } else if (REDIRECT_STATUSES.includes(final_hop.status)) {
+        problems.push(`more than ${link_health.max_redirects} redirects`)
+    } else if (final_hop.status >= 400) {
+        problems.push(`HTTP ${final_hop.status}`)
+    }
+
+    chain.slice(1).forEach((hop, index) => {
+        const from_url = chain[index].url
+        if (!isAllowedHop(from_url, hop.url)) {
+            problems.push(`unexpected cross-domain redirect from ${siteOf(from_url)} to ${siteOf(hop.url)}`)
+        }
+    })
+
+    return problems
+}
+
+
+/*
+    Collects the links on the current page: one entry per distinct http(s) target, with the label of its first link.
+*/
+export function collectLinks() {
+    return cy.get('a[href]', { log: false }).then(($links) => {
+        const links = []
+
+        $links.toArray().forEach((link_elem) => {
+            const url = new URL(link_elem.getAttribute('href'), link_elem.baseURI).href
+            if (!/^https?:$/.test(new URL(url).protocol) || links.some((link) => link.url === url)) {
+                return
+            }
+            links.push({
+                label: link_elem.textContent.trim() || link_elem.getAttribute('aria-label') || '',
+                href: link_elem.getAttribute('href'),
+                url,
+            })
+        })
+
+        return links
+    })
+}
+
+/*
+    Requests a URL without following redirects, then follows each redirect in turn. Yields the chain of hops
+    ({ url, status }) and the URL the redirects looped back to, if they did.
+*/
+export function followRedirects(url, chain = []) {
+    return cy.request({ url: requestUrlFor(url), followRedirect: false, failOnStatusCode: false, log: false }).then((response) => {
+        chain.push({ url, status: response.status })
+
+        const location = response.headers.location
+        if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+            return { chain, loop_url: null }
+        }
+
+        const next_url = new URL(location, url).href
+        if (chain.some((hop) => hop.url === next_url)) {
+            return { chain, loop_url: next_url }
+        }
+        if (chain.length > link_health.max_redirects) {
+            return { chain, loop_url: null }
+        }
+        return followRedirects(next_url, chain)
+    })
+}
+
+/*
+    Checks one link (from collectLinks()) and yields its result: the final status and URL, the redirect chain, and any problems.
+*/
+export function checkLink(link) {
+    return followRedirects(link.url).then(({ chain, loop_url }) => {
+        const final_hop = chain[chain.length - 1]
+        const result = {
+            ...link,
+            status: final_hop.status,
+            final_url: final_hop.url,
+            redirects: chain.length - 1,
+            chain,
+            problems: findProblems(chain, loop_url),
+        }
+
+        Cypress.log({
+            name: 'checkLink',
+            message: `${link.url} -- ${result.status}${result.problems.length > 0 ? ` (${result.problems.join('; ')})` : ''}`,
+            consoleProps: () => result,
+        })
+        return result
+    })
+}
+
+// Columns of the link-health report table
+export const LINK_REPORT_COLUMNS = [
+    { key: 'status', title: 'Status' },
+    { key: 'result', title: 'Result' },
+    { key: 'label', title: 'Link' },
+    { key: 'url', title: 'URL' },
+    { key: 'redirects', title: 'Redirects' },
+    { key: 'final_url', title: 'Final URL' },
+    { key: 'problems', title: 'Problems' },
+]
+
+/*
+    One row of the link-health report table for a link's result.
+*/
+export function toReportRow(result) {
+    return {
+        status: result.status,
+        result: result.problems.length > 0 ? 'FLAGGED' : 'ok',
+        label: result.label,
+        url: result.url,
+        redirects: result.redirects,
+        final_url: result.final_url === result.url ? '' : result.final_url,
+        problems: result.problems.join('; '),
+    }
+}
@@ -0,0 +1,130 @@
+/*
+    Per-locale string catalogs for the localization suite, and helpers to compare the strings shown on the page with them.
+
+    Each catalog (./cypress/fixtures/locales/<locale>.json) has the language's option text in the footer language selector,
+    the expected <html lang> and dir values, the expected Login page strings, and the expected footer link labels keyed
+    by href. The English catalog is the reference: every string in it is expected in every other catalog. The English
+    catalog also has the app store badges' alt text, the messages the page shows (login errors), and the sign-up page
+    strings, which other catalogs only have once their translations are confirmed (see ./expectations.js).
+
+    To add a locale, add its catalog and import it below.
+*/
+
+import ar from '../fixtures/locales/ar.json'
+import de from '../fixtures/locales/de.json'
+import en from '../fixtures/locales/en.json'
+import es from '../fixtures/locales/es.json'
+import fa from '../fixtures/locales/fa.json'
+import fr from '../fixtures/locales/fr.json'
+import he from '../fixtures/locales/he.json'
+import { AppBadges, Footer, LoginForm } from './pages'
+
+export const DEFAULT_LOCALE = 'en'
+
+export const LOCALE_CATALOGS = { ar, de, en, es, fa, fr, he }
+
+// The sections of a catalog that hold strings shown on the page
+const CATALOG_SECTIONS = ['strings', 'footer_links']
+
+
+/*
+    The locales to check: all catalogs, or the subset given with --env locales="fr de" (separated by spaces or commas).
+*/
+export function selectedLocales() {
+    const requested = Cypress.env('locales')
+    if (!requested) {
+        return Object.keys(LOCALE_CATALOGS)
+    }
+
+    const locales = Array.isArray(requested) ? requested : String(requested).split(/[\s,]+/).filter((locale) => locale)
+    const unknown = locales.filter((locale) => !LOCALE_CATALOGS[locale])
+    if (unknown.length > 0) {
+        throw new Error(`No locale catalog for: ${unknown.join(', ')} -- add it to ./cypress/fixtures/locales`)
+    }
+    return locales
+}
+
+/*
+    Switches the display language through the footer language selector and waits for the page to be shown in it.
+*/
+export function switchLanguage(catalog) {
+    const footer = new Footer()
+
+    footer.selectLanguage(catalog.language)
+    return cy.get('html').should('have.attr', 'lang', catalog.lang)
+}
+
+/*
+    Reads the localizable strings from the Login page, in the same shape as a catalog's "strings" and "footer_links".
+*/
+export function collectPageStrings() {
+    const login_form = new LoginForm()
+    const footer = new Footer()
+    const app_badges = new AppBadges()
+    const page_strings = { strings: {}, footer_links: {} }
+    const read = (key) => ($elem) => {
+        page_strings.strings[key] = $elem.text().trim()
+    }
+
+    cy.title().then((title) => {
+        page_strings.strings.page_title = title
+    })
+    login_form.usernamePlaceholder.then(read('username_placeholder'))
+    login_form.passwordPlaceholder.then(read('password_placeholder'))
+    login_form.submitButtonLabel.then(read('log_in'))
+    login_form.orDividerText.then(read('or'))
+    login_form.facebookButtonText.then(read('facebook_login'))
+    login_form.forgotPasswordLink.then(read('forgot_password'))
+    login_form.signUpPrompt.then(read('sign_up_prompt'))
+    login_form.signUpLink.then(read('sign_up'))
+    app_badges.getTheAppLabel.then(read('get_the_app'))
+    footer.links.each(($link) => {
+        page_strings.footer_links[$link.attr('href')] = $link.text().trim()
+    })
+
+    return cy.wrap(page_strings, { log: false })
+}
+
+/*
+    Compares the strings read from the page with a locale's catalog. Returns the problems found:
+        missing       -- a string the English catalog has, but the locale's catalog or the page does not
+        untranslated  -- the page shows the English string where the catalog has a translation
+        mismatched    -- the page shows something other than the catalog's string
+*/
+export function compareWithCatalog(page_strings, catalog) {
+    const reference = LOCALE_CATALOGS[DEFAULT_LOCALE]
+    const problems = { missing: [], untranslated: [], mismatched: [] }
+
+    CATALOG_SECTIONS.forEach((section) => {
+        Object.keys(reference[section]).forEach((key) => {
+            const name = section === 'strings' ? key : `footer link ${key}`
+            const expected = catalog[section][key]
+            const actual = page_strings[section][key]
+            const english = reference[section][key]
+
+            if (expected === undefined) {
+                problems.missing.push(`${name} -- not in the catalog`)
+            } else if (actual === undefined) {
+                problems.missing.push(`${name} -- not on the page`)
+            } else if (actual === english && expected !== english) {
+                problems.untranslated.push(`${name} -- shows "${actual}", expected "${expected}"`)
+            } else if (actual !== expected) {
+                problems.mismatched.push(`${name} -- shows "${actual}", expected "${expected}"`)
+            }
+        })
+    })
+
+    return problems
+}
+
+export function countProblems(problems) {
+    return problems.missing.length + problems.untranslated.length + problems.mismatched.length
+}
+
+export function formatProblems(locale, problems) {
+    const lines = [`${countProblems(problems)} localization problem(s) for locale "${locale}":`]
+    Object.keys(problems).forEach((kind) => {
+        problems[kind].forEach((problem) => lines.push(`  - ${kind}: ${problem}`))
+    })
+    return lines.join('\n')
+}
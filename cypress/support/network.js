@@ -0,0 +1,131 @@
+/*
+    Network traffic capture -- every request the page makes during a spec, with its outcome.
+
+        capturedRequests()              -- the requests captured so far in the current test
+        findNetworkProblems(entry)      -- why a captured request is flagged, if it is
+        skipTrafficCapture()            -- leaves the traffic of the current spec alone (call it at the top of the spec)
+
+    Before each test, a spy is installed with cy.intercept() for every request. It records the URL, method, initiator
+    type (the kind of resource: document, script, image, fetch, ...), status, size, and timing of each request, without
+    changing it. Requests that a test answers with its own stub never reach the network, and are not captured. A request
+    still without a response at the end of its test -- one that errored, or was never answered -- is recorded as such.
+    At the end of the spec, the requests of all its tests are sent to the writeNetworkCapture task
+    (./cypress/plugins/network.js), which writes them as a HAR-like file to ./cypress/reports/network/<spec>.har.
+
+    The spy holds every response in the Cypress driver before the browser gets it, which skews timings -- specs that
+    measure them call skipTrafficCapture(), so that no spy is installed.
+
+    A request is flagged when it failed (a 4xx / 5xx status, or no response at all), when it was loaded over plain http
+    by a page served over https (mixed content), or when its domain is neither the site under test nor listed in the
+    allowlist (./cypress/fixtures/network_allowlist.json). A listed domain allows its subdomains too.
+*/
+
+import network_allowlist from '../fixtures/network_allowlist.json'
+
+// Requests of the Cypress runner itself, which go through the same proxy
+const CYPRESS_PATH = /^\/__(cypress)?\//
+
+// The status text of a request that had no response by the end of its test
+const NO_RESPONSE = 'no response'
+
+// Requests of the current test, and of the whole spec
+let captured_requests = []
+const spec_requests = []
+
+// Whether the spy is installed before each test of the spec
+let capture_traffic = true
+
+
+function isAllowedHost(hostname) {
+    return hostname === new URL(Cypress.config('baseUrl')).hostname
+        || network_allowlist.allowed_domains.some(({ domain }) => hostname === domain || hostname.endsWith(`.${domain}`))
+}
+
+function sizeOf(response) {
+    const content_length = response.headers['content-length']
+    if (content_length !== undefined) {
+        return Number(content_length)
+    }
+    return typeof response.body === 'string' ? new Blob([response.body]).size : null
+}
+
+
+export function capturedRequests() {
+    return captured_requests
+}
+
+export function skipTrafficCapture() {
+    capture_traffic = false
+}
+
+/*
+    The problems of a captured request: a failed status, no response, mixed content, or a domain outside the allowlist.
+    Check it once the page's traffic has settled -- until then, a request without a response may still be under way.
+*/
+export function findNetworkProblems(entry) {
+    const problems = []
+    const url = new URL(entry.url)
+
+    if (entry.status === null) {
+        problems.push(NO_RESPONSE)
+    } else if (entry.status >= 400) {
+        problems.push(`HTTP ${entry.status}`)
+    }
+    if (new URL(Cypress.config('baseUrl')).protocol === 'https:' && ['http:', 'ws:'].includes(url.protocol)) {
+        problems.push(`mixed content: loaded over ${url.protocol.slice(0, -1)} by an https page`)
+    }
+    if (!isAllowedHost(url.hostname)) {
+        problems.push(`domain ${url.hostname} is not in the allowlist`)
+    }
+    return problems
+}
+
+
+beforeEach(() => {
+    captured_requests = []
+    if (!capture_traffic) {
+        return
+    }
+
+    cy.intercept({ url: /.*/ }, (req) => {
+        if (CYPRESS_PATH.test(new URL(req.url).pathname)) {
+            return
+        }
+
+        const entry = {
+            test: Cypress.currentTest.titlePath.join(' > '),
+            started: new Date().toISOString(),
+            method: req.method,
+            url: req.url,
+            initiator_type: req.resourceType,
+            status: null,
+            status_text: '',
+            mime_type: '',
+            size: null,
+            time_ms: null,
+        }
+        captured_requests.push(entry)
+        spec_requests.push(entry)
+
+        req.on('response', (res) => {
+            entry.status = res.statusCode
+            entry.status_text = res.statusMessage || ''
+            entry.mime_type = res.headers['content-type'] || ''
+            entry.size = sizeOf(res)
+            entry.time_ms = Date.now() - Date.parse(entry.started)
+        })
+    })
+})
+
+afterEach(() => {
+    captured_requests.filter((entry) => entry.status === null).forEach((entry) => {
+        entry.status_text = NO_RESPONSE
+    })
+})
+
+after(() => {
+    if (spec_requests.length > 0) {
+        const requests = spec_requests.splice(0).map((entry) => ({ ...entry, problems: findNetworkProblems(entry) }))
+        cy.task('writeNetworkCapture', { spec: Cypress.spec.name, requests }, { log: false })
+    }
+})
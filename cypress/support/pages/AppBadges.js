@@ -0,0 +1,39 @@
+/*
+    Page Object for the "Get the app." text and the App Store / Google Play badges below the Login Form.
+*/
+
+export class AppBadges {
+
+    /* Elements */
+
+    getTheAppText(expected_text) {
+        return cy.get('main p').contains(new RegExp('^' + expected_text + '$', 'i'))
+    }
+
+    /*
+        The "Get the app." text, located by its position just before the badges rather than by its (localized) text.
+    */
+    get getTheAppLabel() {
+        return this.badges.prev('p')
+    }
+
+    get badges() {
+        return this.appStoreLink.parent()
+    }
+
+    get appStoreLink() {
+        return cy.resolve('appBadges.appStoreLink')
+    }
+
+    get appStoreImage() {
+        return cy.resolve('appBadges.appStoreImage')
+    }
+
+    get googlePlayLink() {
+        return cy.resolve('appBadges.googlePlayLink')
+    }
+
+    get googlePlayImage() {
+        return cy.resolve('appBadges.googlePlayImage')
+    }
+}
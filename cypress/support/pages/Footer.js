@@ -0,0 +1,108 @@
+/*
+    Page Object for the Footer -- the Meta / Instagram / topic links, the language selector, and the Copyright text.
+*/
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// How a link's actual href is compared to the expected href in the footer link manifest
+const HREF_MATCHERS = {
+    exact: (actual_href, expected_href) => actual_href === expected_href,
+    prefix: (actual_href, expected_href) => actual_href.startsWith(expected_href),
+    regex: (actual_href, expected_href) => new RegExp(expected_href).test(actual_href),
+}
+
+/*
+    Compares the footer's <a> elements to the expected links (entries of ./cypress/fixtures/footer_links.json) and
+    returns a description of every mismatch -- missing, not visible, or with an unexpected href.
+*/
+function findLinkMismatches($links, expected_links) {
+    const mismatches = []
+
+    expected_links.forEach((expected_link) => {
+        const matcher = HREF_MATCHERS[expected_link.match]
+        if (!matcher) {
+            throw new Error(`Footer link "${expected_link.label}" has unknown match mode "${expected_link.match}"`)
+        }
+
+        const link_elem = $links.toArray().find((elem) => elem.textContent.trim() === expected_link.label)
+        if (!link_elem) {
+            mismatches.push(`"${expected_link.label}" -- not found`)
+            return
+        }
+
+        const actual_href = link_elem.getAttribute('href')
+        if (!matcher(actual_href, expected_link.href)) {
+            mismatches.push(`"${expected_link.label}" -- expected href ${expected_link.match} "${expected_link.href}" but was "${actual_href}"`)
+        }
+        if (!Cypress.dom.isVisible(link_elem)) {
+            mismatches.push(`"${expected_link.label}" -- not visible`)
+        }
+    })
+
+    return mismatches
+}
+
+
+export class Footer {
+
+    /* Elements */
+
+    get container() {
+        return cy.resolve('footer.container')
+    }
+
+    get links() {
+        return cy.resolve('footer.links')
+    }
+
+    /*
+        Yields the footer link (the <a> element) whose text is exactly the given link text.
+    */
+    link(link_text) {
+        return this.links.contains(new RegExp('^' + escapeRegExp(link_text) + '$')).closest('a')
+    }
+
+    get languageSelect() {
+        return cy.resolve('footer.languageSelect')
+    }
+
+    /*
+        The element wrapping the (visually hidden) language <select> and the label showing the current language.
+    */
+    get languagePicker() {
+        return this.languageSelect.parent()
+    }
+
+    copyright(copyright_text) {
+        return cy.get('footer div').contains(copyright_text)
+    }
+
+
+    /* Verifications */
+
+    /*
+        Verifies every expected link at once, so that a single failure lists all of the links that do not match
+        rather than stopping at the first one.
+    */
+    verifyLinks(expected_links) {
+        return this.links.should(($links) => {
+            const mismatches = findLinkMismatches($links, expected_links)
+            assert(
+                mismatches.length === 0,
+                `${mismatches.length} of ${expected_links.length} footer links do not match the manifest:\n  - ${mismatches.join('\n  - ')}`
+            )
+        })
+    }
+
+
+    /* Actions */
+
+    /*
+        Selects a display language by its option text (e.g. "Français") or value (e.g. "fr").
+    */
+    selectLanguage(language) {
+        return this.languageSelect.select(language)
+    }
+}
@@ -0,0 +1,162 @@
+/*
+    Page Object for the Login Form -- the Instagram title, the username and password inputs, the Show / Hide
+    password button, the Log In and Facebook buttons, the Forgot password link, and the New Account Sign Up prompt
+    below the form.
+*/
+
+import { activeLocale, pageTitle } from '../expectations'
+import { DEFAULT_LOCALE } from '../localization'
+
+// The AJAX endpoint the Login Form posts the username and (encoded) password to
+export const LOGIN_ENDPOINT = '/accounts/login/ajax/'
+
+// The AJAX endpoint that exchanges the code from the Facebook OAuth callback for a session
+export const FACEBOOK_LOGIN_ENDPOINT = '/accounts/login/ajax/facebook/'
+
+
+export class LoginForm {
+
+    /*
+        Navigates to the Login page and verifies the (DOM) title to check that the page is in the expected state. The
+        page is loaded in the active locale (--env locale=<locale>), and the options are passed on to cy.visit() -- an
+        onBeforeLoad callback, for one.
+    */
+    visit(visit_options = {}) {
+        const locale = activeLocale()
+
+        cy.visit(locale === DEFAULT_LOCALE ? '/' : `/?hl=${locale}`, visit_options)
+        cy.title().should('eq', pageTitle())
+    }
+
+
+    /* Elements */
+
+    get form() {
+        return cy.resolve('loginForm.form')
+    }
+
+    /*
+        The card that holds the Instagram title and the form.
+    */
+    get card() {
+        return this.form.parent()
+    }
+
+    get title() {
+        return cy.resolve('loginForm.title')
+    }
+
+    get usernameInput() {
+        return cy.resolve('loginForm.usernameInput')
+    }
+
+    get usernamePlaceholder() {
+        return this.usernameInput.parent().children('span')
+    }
+
+    get passwordInput() {
+        return cy.resolve('loginForm.passwordInput')
+    }
+
+    get passwordPlaceholder() {
+        return this.passwordInput.parent().children('span')
+    }
+
+    /*
+        The Show / Hide button next to the password input, located by its position rather than its (localized) text.
+        It is only in the DOM while the password input has a value, so .should('not.exist') checks its absence.
+    */
+    get passwordVisibilityButton() {
+        return this.passwordInput.parent().parent().find('button[type="button"]')
+    }
+
+    get submitButton() {
+        return cy.resolve('loginForm.submitButton')
+    }
+
+    get submitButtonLabel() {
+        return cy.resolve('loginForm.submitButtonLabel')
+    }
+
+    get orDivider() {
+        return cy.resolve('loginForm.orDivider')
+    }
+
+    get orDividerText() {
+        return this.orDivider.children('div:nth-child(2)')
+    }
+
+    get facebookButton() {
+        return this.facebookIcon.parent()
+    }
+
+    get facebookIcon() {
+        return cy.resolve('loginForm.facebookIcon')
+    }
+
+    get facebookButtonText() {
+        return cy.resolve('loginForm.facebookButtonText')
+    }
+
+    get errorAlert() {
+        return cy.resolve('loginForm.errorAlert')
+    }
+
+    get forgotPasswordLink() {
+        return cy.resolve('loginForm.forgotPasswordLink')
+    }
+
+    get signUpPrompt() {
+        return this.signUpLink.parent()
+    }
+
+    get signUpLink() {
+        return cy.resolve('loginForm.signUpLink')
+    }
+
+
+    /* Actions */
+
+    typeUsername(username) {
+        return this.usernameInput.type(username)
+    }
+
+    typePassword(password) {
+        return this.passwordInput.type(password)
+    }
+
+    clearUsername() {
+        return this.usernameInput.clear()
+    }
+
+    clearPassword() {
+        return this.passwordInput.clear()
+    }
+
+    /*
+        Places the caret (or, with an end, a selection) in the password input, as a user clicking into the text would.
+    */
+    selectPasswordRange(start, end = start) {
+        return this.passwordInput.then(($input) => {
+            $input.get(0).setSelectionRange(start, end)
+        })
+    }
+
+    togglePasswordVisibility() {
+        return this.passwordVisibilityButton.click()
+    }
+
+    logInWithFacebook() {
+        return this.facebookButton.click()
+    }
+
+    submit() {
+        return this.submitButton.click()
+    }
+
+    logIn(username, password) {
+        this.typeUsername(username)
+        this.typePassword(password)
+        return this.submit()
+    }
+}
@@ -0,0 +1,112 @@
+/*
+    Page Object for the password reset page that the Login Form's "Forgot password?" link leads to -- the request
+    for a login link by email, phone, or username, the dialog confirming that it was sent, and the links to create an
+    account and back to the Login page.
+*/
+
+const PAGE_PATH = '/accounts/password/reset/'
+const PAGE_TITLE = 'Reset Password • Instagram'
+
+// The AJAX endpoint the form posts the email, phone number, or username to
+export const PASSWORD_RESET_ENDPOINT = '/accounts/account_recovery_send_ajax/'
+
+
+export class PasswordResetForm {
+
+    /*
+        Navigates to the password reset page and verifies the (DOM) title to check that the page is in the expected state.
+    */
+    visit() {
+        cy.visit(PAGE_PATH)
+        this.verifyShown()
+    }
+
+    /*
+        Verifies that the password reset page is the one shown -- after following a link to it, for one.
+    */
+    verifyShown() {
+        cy.location('pathname').should('eq', PAGE_PATH)
+        cy.title().should('eq', PAGE_TITLE)
+    }
+
+    /*
+        Verifies that the dialog confirming that the login link was sent is not shown (or no longer).
+    */
+    verifySentDialogClosed() {
+        return cy.verifyAbsent('passwordResetForm.sentDialog')
+    }
+
+
+    /* Elements */
+
+    get form() {
+        return cy.resolve('passwordResetForm.form')
+    }
+
+    get title() {
+        return cy.resolve('passwordResetForm.title')
+    }
+
+    /*
+        The instructions between the title and the form.
+    */
+    get description() {
+        return this.title.next('p')
+    }
+
+    get emailOrUsernameInput() {
+        return cy.resolve('passwordResetForm.emailOrUsernameInput')
+    }
+
+    get emailOrUsernamePlaceholder() {
+        return this.emailOrUsernameInput.parent().children('span')
+    }
+
+    get submitButton() {
+        return cy.resolve('passwordResetForm.submitButton')
+    }
+
+    get errorAlert() {
+        return cy.resolve('passwordResetForm.errorAlert')
+    }
+
+    get createAccountLink() {
+        return cy.resolve('passwordResetForm.createAccountLink')
+    }
+
+    get backToLoginLink() {
+        return cy.resolve('passwordResetForm.backToLoginLink')
+    }
+
+    get sentDialog() {
+        return cy.resolve('passwordResetForm.sentDialog')
+    }
+
+    get sentDialogTitle() {
+        return this.sentDialog.find('h3')
+    }
+
+    get sentDialogBody() {
+        return this.sentDialog.find('p')
+    }
+
+    get sentDialogOkButton() {
+        return this.sentDialog.find('button')
+    }
+
+
+    /* Actions */
+
+    typeEmailOrUsername(email_or_username) {
+        return this.emailOrUsernameInput.type(email_or_username)
+    }
+
+    requestLoginLink(email_or_username) {
+        this.typeEmailOrUsername(email_or_username)
+        return this.submitButton.click()
+    }
+
+    backToLogin() {
+        return this.backToLoginLink.click()
+    }
+}
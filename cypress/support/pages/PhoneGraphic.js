@@ -0,0 +1,56 @@
+/*
+    Page Object for the phone graphic on the left side of the page, and the phone screen images shown within it.
+*/
+
+/*
+    Whether an image shows the expected screenshot. The expected src is a path prefix, since the live page appends a
+    content hash to each screenshot's path (e.g. ".../screenshot1.png/fdfe239b7c9f.png").
+*/
+function showsScreenshot(img, expected_src) {
+    return new URL(img.src, img.baseURI).pathname.startsWith(expected_src)
+}
+
+
+export class PhoneGraphic {
+
+    /* Elements */
+
+    get container() {
+        return cy.resolve('phoneGraphic.container')
+    }
+
+    get images() {
+        return cy.resolve('phoneGraphic.images')
+    }
+
+    /*
+        The element directly holding the phone screen images.
+    */
+    get screen() {
+        return this.images.parent()
+    }
+
+    /*
+        The phone screen image showing the given screenshot (see ./cypress/fixtures/phone_screenshots.json).
+    */
+    image(expected_src) {
+        return this.images.filter((index, img) => showsScreenshot(img, expected_src))
+    }
+
+
+    /* Assertions */
+
+    /*
+        Verifies that the given screenshot is the only one shown. While the carousel cross-fades, the outgoing screenshot
+        is still visible, so this retries until the fade has finished.
+    */
+    verifyShown(expected_src) {
+        return this.images.should(($images) => {
+            const shown = $images.toArray().filter((img) => Cypress.dom.isVisible(img))
+            const shown_srcs = shown.map((img) => img.getAttribute('src'))
+
+            expect(shown, `phone screen images shown: ${shown_srcs.join(', ')}`).to.have.length(1)
+            assert(showsScreenshot(shown[0], expected_src), `expected "${expected_src}" to be shown, but "${shown_srcs[0]}" was`)
+        })
+    }
+}
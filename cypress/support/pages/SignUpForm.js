@@ -0,0 +1,111 @@
+/*
+    Page Object for the sign-up page that the Login page's "Sign up" link leads to -- the four fields of the sign-up
+    form, the inline validation marker next to each field, the Sign up button, and the link back to the Login page.
+*/
+
+import { signUpPageTitle } from '../expectations'
+
+const PAGE_PATH = '/accounts/emailsignup/'
+
+// The AJAX endpoint that dry-runs the account creation as each field loses focus, and answers with the fields' errors
+export const SIGN_UP_ATTEMPT_ENDPOINT = '/accounts/web_create_ajax/attempt/'
+
+// The fields of the form, by the names fillIn() and markerFor() take
+const FIELD_INPUTS = {
+    emailOrPhone: 'emailOrPhoneInput',
+    fullName: 'fullNameInput',
+    username: 'usernameInput',
+    password: 'passwordInput',
+}
+
+
+export class SignUpForm {
+
+    /*
+        Navigates to the sign-up page and verifies the (DOM) title to check that the page is in the expected state.
+    */
+    visit() {
+        cy.visit(PAGE_PATH)
+        this.verifyShown()
+    }
+
+    /*
+        Verifies that the sign-up page is the one shown -- after following a link to it, for one.
+    */
+    verifyShown() {
+        cy.location('pathname').should('eq', PAGE_PATH)
+        cy.title().should('eq', signUpPageTitle())
+    }
+
+
+    /* Elements */
+
+    get form() {
+        return cy.resolve('signUpForm.form')
+    }
+
+    get title() {
+        return cy.resolve('signUpForm.title')
+    }
+
+    get emailOrPhoneInput() {
+        return cy.resolve('signUpForm.emailOrPhoneInput')
+    }
+
+    get fullNameInput() {
+        return cy.resolve('signUpForm.fullNameInput')
+    }
+
+    get usernameInput() {
+        return cy.resolve('signUpForm.usernameInput')
+    }
+
+    get passwordInput() {
+        return cy.resolve('signUpForm.passwordInput')
+    }
+
+    get submitButton() {
+        return cy.resolve('signUpForm.submitButton')
+    }
+
+    get logInLink() {
+        return cy.resolve('signUpForm.logInLink')
+    }
+
+    inputFor(field) {
+        const input = FIELD_INPUTS[field]
+        if (!input) {
+            throw new Error(`Unknown sign-up field "${field}" -- expected one of: ${Object.keys(FIELD_INPUTS).join(', ')}`)
+        }
+        return this[input]
+    }
+
+    placeholderFor(field) {
+        return this.inputFor(field).parent().children('span')
+    }
+
+    /*
+        The validation marker shown next to a field once it has been checked -- found by its position rather than through
+        the registry, so that a field without a marker yields nothing (instead of failing) and its absence can be checked.
+    */
+    markerFor(field) {
+        return this.inputFor(field).parent().parent().find('[role="img"]')
+    }
+
+
+    /* Actions */
+
+    /*
+        Types each of the given values into its field, and moves the focus on so that the field is checked. A field with
+        an empty value is left alone -- cy.type() does not accept an empty string.
+    */
+    fillIn(values) {
+        Object.keys(values)
+            .filter((field) => values[field].length > 0)
+            .forEach((field) => this.inputFor(field).type(values[field]).blur())
+    }
+
+    logIn() {
+        return this.logInLink.click()
+    }
+}
@@ -0,0 +1,16 @@
+/*
+    Page Object for the two-factor authentication challenge shown after a login that requires a security code.
+*/
+
+export class TwoFactorForm {
+
+    /* Elements */
+
+    get securityCodeInput() {
+        return cy.resolve('twoFactorForm.securityCodeInput')
+    }
+
+    get confirmButton() {
+        return cy.resolve('twoFactorForm.confirmButton')
+    }
+}
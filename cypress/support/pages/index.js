@@ -0,0 +1,9 @@
+// Page Objects for the Instagram Login page and the pages it leads to -- their elements are found through the selector registry
+// (cy.resolve(), ./cypress/support/selectors.js)
+export { AppBadges } from './AppBadges'
+export { Footer } from './Footer'
+export { FACEBOOK_LOGIN_ENDPOINT, LOGIN_ENDPOINT, LoginForm } from './LoginForm'
+export { PASSWORD_RESET_ENDPOINT, PasswordResetForm } from './PasswordResetForm'
+export { PhoneGraphic } from './PhoneGraphic'
+export { SIGN_UP_ATTEMPT_ENDPOINT, SignUpForm } from './SignUpForm'
+export { TwoFactorForm } from './TwoFactorForm'
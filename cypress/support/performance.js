@@ -0,0 +1,93 @@
+/*
+    Page performance metrics, read from the browser's Performance Timeline after the page has loaded:
+
+        Navigation Timing   time to first byte, DOMContentLoaded, load, and the document's own transfer size
+        Paint Timing        first paint and first contentful paint
+        Resource Timing     the number of requests, their transfer sizes, and the bytes of the phone graphic's images
+        User Timing         when the Login Form became interactive -- marked by watchLoginFormInteractive()
+
+    Times are in milliseconds from the start of the navigation, and sizes in bytes. A response served from the browser's
+    cache has a transfer size of 0, so its (encoded) body size is counted instead -- a warm cache does not make the page
+    any lighter. Resources from other origins that do not send Timing-Allow-Origin report no sizes at all, and count as 0.
+*/
+
+// The User Timing mark set once the Login Form can be used
+export const LOGIN_FORM_INTERACTIVE_MARK = 'login-form-interactive'
+
+// Room for every request of the page -- the browser keeps only 250 resource entries by default
+const RESOURCE_BUFFER_SIZE = 1000
+
+
+function isInteractive(win) {
+    const form = win.document.querySelector('#loginForm')
+    const inputs = form ? Array.from(form.querySelectorAll('input[name="username"], input[name="password"]')) : []
+
+    return inputs.length === 2 && inputs.every((input) => !input.disabled && input.getClientRects().length > 0)
+}
+
+function bytesOf(entry) {
+    return entry.transferSize || entry.encodedBodySize || 0
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0)
+}
+
+/*
+    The URLs of the images a region shows -- its images' current sources and the background images of it and its children.
+*/
+function imageUrlsOf(region_elem) {
+    const win = region_elem.ownerDocument.defaultView
+    const elems = [region_elem].concat(Array.from(region_elem.querySelectorAll('*')))
+    const img_urls = elems.filter((elem) => elem.tagName === 'IMG').map((img) => img.currentSrc || img.src)
+    const background_urls = elems
+        .map((elem) => win.getComputedStyle(elem).backgroundImage)
+        .flatMap((background) => Array.from(background.matchAll(/url\("?([^")]+)"?\)/g), (match) => match[1]))
+
+    return [...new Set(img_urls.concat(background_urls).filter((url) => url).map((url) => new URL(url, region_elem.baseURI).href))]
+}
+
+
+/*
+    To be passed as cy.visit()'s onBeforeLoad: marks LOGIN_FORM_INTERACTIVE_MARK as soon as the Login Form's inputs are
+    rendered, visible, and enabled, and makes room for every resource entry.
+*/
+export function watchLoginFormInteractive(win) {
+    win.performance.setResourceTimingBufferSize(RESOURCE_BUFFER_SIZE)
+
+    const observer = new win.MutationObserver(() => {
+        if (isInteractive(win)) {
+            win.performance.mark(LOGIN_FORM_INTERACTIVE_MARK)
+            observer.disconnect()
+        }
+    })
+    observer.observe(win.document, { attributes: true, childList: true, subtree: true })
+}
+
+/*
+    Reads the metrics of the page loaded in the window. phone_graphic_elem is the phone graphic's container, whose images
+    are counted separately. Yields the metrics, by name.
+*/
+export function collectMetrics(win, phone_graphic_elem) {
+    const performance = win.performance
+    const [navigation] = performance.getEntriesByType('navigation')
+    const [interactive] = performance.getEntriesByName(LOGIN_FORM_INTERACTIVE_MARK, 'mark')
+    const paintTime = (name) => {
+        const [paint] = performance.getEntriesByName(name, 'paint')
+        return paint ? Math.round(paint.startTime) : null
+    }
+    const resources = performance.getEntriesByType('resource')
+    const phone_graphic_urls = imageUrlsOf(phone_graphic_elem)
+
+    return {
+        loginFormInteractiveMs: Math.round(interactive.startTime),
+        timeToFirstByteMs: Math.round(navigation.responseStart),
+        firstPaintMs: paintTime('first-paint'),
+        firstContentfulPaintMs: paintTime('first-contentful-paint'),
+        domContentLoadedMs: Math.round(navigation.domContentLoadedEventEnd),
+        loadMs: Math.round(navigation.loadEventEnd),
+        requestCount: resources.length + 1,
+        totalTransferBytes: bytesOf(navigation) + sum(resources.map(bytesOf)),
+        phoneGraphicBytes: sum(resources.filter((entry) => phone_graphic_urls.includes(entry.name)).map(bytesOf)),
+    }
+}
@@ -0,0 +1,278 @@
+/*
+    Selector registry, and resolving its elements with fallback strategies.
+
+        cy.resolve('loginForm.submitButton')                -- yields the Log In button
+        cy.verifyAbsent('passwordResetForm.sentDialog')     -- waits until none of the strategies finds the element
+
+    Each logical element of the page has an ordered list of strategies for finding it: by ARIA role or accessible label,
+    by its text, by a stable attribute, and by its position in the page structure. The first strategy in the list is the
+    primary one. cy.resolve() waits until one of the strategies matches, uses the first that does, and logs which one it
+    was; when none match, the error names the element and every selector that was tried, instead of "element not found".
+
+    A resolution that needed a fallback strategy is selector drift: the page has changed in a way that will break the
+    primary selector's users sooner or later, even though the test stayed green. The resolutions of each spec are sent to
+    the recordSelectorResolutions task (./cypress/plugins/selectors.js), which writes the drift report of the whole run to
+    ./cypress/reports/selector_drift.json.
+
+    Role / label and text strategies match the English page. Resolutions on a page in another language are reported
+    separately, since the primary selector is expected to miss there.
+*/
+
+export const SELECTOR_REGISTRY = {
+    'loginForm.form': [
+        { by: 'attribute', selector: '#loginForm' },
+        { by: 'structural', selector: 'main form' },
+    ],
+    'loginForm.title': [
+        { by: 'role', selector: 'main h1' },
+        { by: 'text', selector: 'main :contains("Instagram"):not(:has(*))' },
+    ],
+    'loginForm.usernameInput': [
+        { by: 'label', selector: '#loginForm input[aria-label="Phone number, username, or email"]' },
+        { by: 'attribute', selector: '#loginForm input[name="username"]' },
+        { by: 'structural', selector: '#loginForm label:eq(0) input' },
+    ],
+    'loginForm.passwordInput': [
+        { by: 'label', selector: '#loginForm input[aria-label="Password"]' },
+        { by: 'attribute', selector: '#loginForm input[name="password"]' },
+        { by: 'structural', selector: '#loginForm label:eq(1) input' },
+    ],
+    'loginForm.submitButton': [
+        { by: 'text', selector: '#loginForm button:contains("Log In")' },
+        { by: 'attribute', selector: '#loginForm button[type="submit"]' },
+        { by: 'structural', selector: '#loginForm > div > div:nth-child(3) button' },
+    ],
+    'loginForm.submitButtonLabel': [
+        { by: 'text', selector: '#loginForm button[type="submit"] div:contains("Log In")' },
+        { by: 'structural', selector: '#loginForm button[type="submit"] > div' },
+    ],
+    'loginForm.orDivider': [
+        { by: 'structural', selector: '#loginForm > div > div:nth-child(4)' },
+    ],
+    'loginForm.facebookIcon': [
+        { by: 'attribute', selector: '#loginForm .coreSpriteFacebookIcon' },
+        { by: 'structural', selector: '#loginForm > div > div:nth-child(5) button > span:first-child' },
+    ],
+    'loginForm.facebookButtonText': [
+        { by: 'text', selector: '#loginForm button span:contains("Log in with Facebook")' },
+        { by: 'structural', selector: '#loginForm .coreSpriteFacebookIcon + span' },
+    ],
+    'loginForm.errorAlert': [
+        { by: 'role', selector: '#loginForm [role="alert"]' },
+        { by: 'attribute', selector: '#slfErrorAlert' },
+    ],
+    'loginForm.forgotPasswordLink': [
+        { by: 'text', selector: '#loginForm a:contains("Forgot password?")' },
+        { by: 'attribute', selector: '#loginForm a[href^="/accounts/password/reset"]' },
+        { by: 'structural', selector: '#loginForm a' },
+    ],
+    'loginForm.signUpLink': [
+        { by: 'text', selector: 'main a:contains("Sign up")' },
+        { by: 'attribute', selector: 'a[data-testid="sign-up-link"]' },
+        { by: 'attribute', selector: 'main a[href^="/accounts/emailsignup"]' },
+    ],
+    'appBadges.appStoreLink': [
+        { by: 'label', selector: '[aria-label="Download on the App Store"]' },
+        { by: 'attribute', selector: 'main a[href*="apps.apple.com"], main a[href*="itunes.apple.com"]' },
+    ],
+    'appBadges.appStoreImage': [
+        { by: 'label', selector: 'img[alt="Download on the App Store"]' },
+        { by: 'structural', selector: 'main a[href*="apple.com"] > img' },
+    ],
+    'appBadges.googlePlayLink': [
+        { by: 'label', selector: '[aria-label="Get it on Google Play"]' },
+        { by: 'attribute', selector: 'main a[href*="play.google.com"]' },
+    ],
+    'appBadges.googlePlayImage': [
+        { by: 'label', selector: 'img[alt="Get it on Google Play"]' },
+        { by: 'structural', selector: 'main a[href*="play.google.com"] > img' },
+    ],
+    'phoneGraphic.container': [
+        { by: 'structural', selector: 'main article' },
+    ],
+    'phoneGraphic.images': [
+        { by: 'structural', selector: 'main article div > img[alt]' },
+        { by: 'attribute', selector: 'main img[src*="/homepage/screenshots/"]' },
+    ],
+    'footer.container': [
+        { by: 'role', selector: 'footer[role="contentinfo"]' },
+        { by: 'structural', selector: 'footer' },
+    ],
+    'footer.links': [
+        { by: 'role', selector: 'footer[role="contentinfo"] a' },
+        { by: 'structural', selector: 'footer a' },
+    ],
+    'footer.languageSelect': [
+        { by: 'label', selector: 'footer select[aria-label="Switch Display Language"]' },
+        { by: 'structural', selector: 'footer select' },
+    ],
+    'twoFactorForm.securityCodeInput': [
+        { by: 'attribute', selector: 'input[name="verificationCode"]' },
+        { by: 'structural', selector: 'form input:not([type="hidden"])' },
+    ],
+    'twoFactorForm.confirmButton': [
+        { by: 'text', selector: 'form button:contains("Confirm")' },
+        { by: 'attribute', selector: 'button[type="submit"]' },
+    ],
+    'passwordResetForm.form': [
+        { by: 'attribute', selector: '#passwordResetForm' },
+        { by: 'structural', selector: 'main form' },
+    ],
+    'passwordResetForm.title': [
+        { by: 'text', selector: 'main h2:contains("Trouble logging in?")' },
+        { by: 'role', selector: 'main h2' },
+    ],
+    'passwordResetForm.emailOrUsernameInput': [
+        { by: 'label', selector: 'main form input[aria-label="Email, Phone, or Username"]' },
+        { by: 'attribute', selector: 'main form input[name="cppEmailOrUsername"]' },
+        { by: 'structural', selector: 'main form input:not([type="hidden"])' },
+    ],
+    'passwordResetForm.submitButton': [
+        { by: 'text', selector: 'main form button:contains("Send login link")' },
+        { by: 'attribute', selector: 'main form button[type="submit"]' },
+    ],
+    'passwordResetForm.errorAlert': [
+        { by: 'role', selector: 'main form [role="alert"]' },
+        { by: 'attribute', selector: '#slfErrorAlert' },
+    ],
+    'passwordResetForm.createAccountLink': [
+        { by: 'text', selector: 'main a:contains("Create new account")' },
+        { by: 'attribute', selector: 'main form a[href^="/accounts/emailsignup"]' },
+    ],
+    'passwordResetForm.backToLoginLink': [
+        { by: 'text', selector: 'main a:contains("Back to login")' },
+        { by: 'attribute', selector: 'main a[href^="/accounts/login"]' },
+    ],
+    'passwordResetForm.sentDialog': [
+        { by: 'role', selector: '[role="dialog"]' },
+    ],
+    'signUpForm.form': [
+        { by: 'attribute', selector: '#signUpForm' },
+        { by: 'structural', selector: 'main form' },
+    ],
+    'signUpForm.title': [
+        { by: 'text', selector: 'main h2:contains("Sign up to see photos and videos from your friends.")' },
+        { by: 'role', selector: 'main form h2' },
+    ],
+    'signUpForm.emailOrPhoneInput': [
+        { by: 'label', selector: 'main form input[aria-label="Mobile Number or Email"]' },
+        { by: 'attribute', selector: 'main form input[name="emailOrPhone"]' },
+        { by: 'structural', selector: 'main form label:eq(0) input' },
+    ],
+    'signUpForm.fullNameInput': [
+        { by: 'label', selector: 'main form input[aria-label="Full Name"]' },
+        { by: 'attribute', selector: 'main form input[name="fullName"]' },
+        { by: 'structural', selector: 'main form label:eq(1) input' },
+    ],
+    'signUpForm.usernameInput': [
+        { by: 'label', selector: 'main form input[aria-label="Username"]' },
+        { by: 'attribute', selector: 'main form input[name="username"]' },
+        { by: 'structural', selector: 'main form label:eq(2) input' },
+    ],
+    'signUpForm.passwordInput': [
+        { by: 'label', selector: 'main form input[aria-label="Password"]' },
+        { by: 'attribute', selector: 'main form input[name="password"]' },
+        { by: 'structural', selector: 'main form label:eq(3) input' },
+    ],
+    'signUpForm.submitButton': [
+        { by: 'text', selector: 'main form button:contains("Sign up")' },
+        { by: 'attribute', selector: 'main form button[type="submit"]' },
+    ],
+    'signUpForm.logInLink': [
+        { by: 'text', selector: 'main a:contains("Log in")' },
+        { by: 'attribute', selector: 'main a[href^="/accounts/login"]' },
+    ],
+}
+
+const DEFAULT_LANG = 'en'
+
+// Resolutions in this spec, counted per element, strategy, and page language -- for the drift report
+const resolution_counts = {}
+
+
+function strategyName(strategy, index) {
+    return `${strategy.by} #${index + 1}`
+}
+
+/*
+    The first strategy that matches an element in the document, with its position in the list, or null.
+*/
+function findMatch(doc, strategies) {
+    const index = strategies.findIndex((strategy) => Cypress.$(strategy.selector, doc).length > 0)
+    return index === -1 ? null : { index, strategy: strategies[index] }
+}
+
+function countResolution(resolution) {
+    const key = [resolution.name, resolution.strategy, resolution.lang].join('|')
+
+    if (!resolution_counts[key]) {
+        resolution_counts[key] = { ...resolution, count: 0 }
+    }
+    resolution_counts[key].count += 1
+}
+
+function formatUnresolved(name, strategies) {
+    const tried = strategies.map((strategy, index) => `  ${strategyName(strategy, index)}: ${strategy.selector}`)
+    return `Could not find "${name}" with any of its selector strategies:\n${tried.join('\n')}`
+}
+
+
+Cypress.Commands.add('resolve', (name, options = {}) => {
+    const strategies = SELECTOR_REGISTRY[name]
+    if (!strategies) {
+        throw new Error(`No selector registry entry named "${name}" -- add it to SELECTOR_REGISTRY in ./cypress/support/selectors.js`)
+    }
+
+    let match = null
+
+    return cy.document({ log: false, timeout: options.timeout }).should((doc) => {
+        match = findMatch(doc, strategies)
+        assert(match !== null, formatUnresolved(name, strategies))
+    }).then((doc) => {
+        const resolution = {
+            name,
+            strategy: strategyName(match.strategy, match.index),
+            selector: match.strategy.selector,
+            primary: strategies[0].selector,
+            drifted: match.index > 0,
+            lang: doc.documentElement.lang || DEFAULT_LANG,
+        }
+
+        Cypress.log({
+            name: 'resolve',
+            message: `${name} -- by ${resolution.strategy}${resolution.drifted ? ' (fallback)' : ''}`,
+            consoleProps: () => resolution,
+        })
+        countResolution(resolution)
+
+        return cy.get(match.strategy.selector, { log: false, ...options })
+    })
+})
+
+/*
+    The counterpart of cy.resolve() for an element that should not be there: cy.resolve() waits for the element to
+    appear, so its absence is checked against every strategy instead.
+*/
+Cypress.Commands.add('verifyAbsent', (name, options = {}) => {
+    const strategies = SELECTOR_REGISTRY[name]
+    if (!strategies) {
+        throw new Error(`No selector registry entry named "${name}" -- add it to SELECTOR_REGISTRY in ./cypress/support/selectors.js`)
+    }
+
+    Cypress.log({ name: 'verifyAbsent', message: name })
+
+    return cy.document({ log: false, timeout: options.timeout }).should((doc) => {
+        const match = findMatch(doc, strategies)
+        assert(match === null, match ? `"${name}" is still shown -- found by ${strategyName(match.strategy, match.index)}: ${match.strategy.selector}` : `"${name}" is not shown`)
+    })
+})
+
+
+after(() => {
+    const resolutions = Object.keys(resolution_counts).map((key) => resolution_counts[key])
+
+    if (resolutions.length > 0) {
+        Object.keys(resolution_counts).forEach((key) => delete resolution_counts[key])
+        cy.task('recordSelectorResolutions', { spec: Cypress.spec.relative, resolutions }, { log: false })
+    }
+})
@@ -0,0 +1,97 @@
+/*
+    Structural map of a page, for the structure drift checks (./cypress/plugins/structure.js).
+
+    The map lists the parts of the page that a user sees or uses, normalized so that it only changes when the page does:
+
+        landmarks   header / nav / main / footer / form and elements with a landmark role
+        fields      inputs, selects, and text areas, with their type, name, and label
+        buttons     buttons, with their type and text
+        links       links, with their href and text
+        images      images, with their src and alt text
+        options     the options of every select, with their value and text
+
+    Every node has a key that identifies it between snapshots -- a link's href, a field's name, an image's src, and so on --
+    so that a node whose text changed is reported as changed rather than as removed and added. Nodes that share a key are
+    numbered in page order ("/legal/terms/ #2").
+*/
+
+const LANDMARK_SELECTOR = [
+    'header', 'nav', 'main', 'aside', 'footer', 'form',
+    '[role="banner"]', '[role="navigation"]', '[role="main"]', '[role="complementary"]', '[role="contentinfo"]',
+    '[role="search"]', '[role="region"]',
+].join(', ')
+
+
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim()
+}
+
+/*
+    The path of a URL attribute without its query string, relative to the page when it is on the page's own origin.
+*/
+function normalizeUrl(url, doc) {
+    const resolved = new URL(url, doc.baseURI)
+    return resolved.origin === new URL(doc.baseURI).origin ? resolved.pathname : `${resolved.origin}${resolved.pathname}`
+}
+
+function labelOf(elem, doc) {
+    const label = elem.id ? doc.querySelector(`label[for="${elem.id}"]`) : elem.closest('label')
+    return normalizeText(elem.getAttribute('aria-label') || elem.getAttribute('placeholder') || (label && label.textContent))
+}
+
+/*
+    Adds each node's key, numbering the nodes that share one.
+*/
+function withKeys(nodes, keyOf) {
+    const counts = {}
+
+    return nodes.map((node) => {
+        const key = keyOf(node)
+        counts[key] = (counts[key] || 0) + 1
+        return { key: counts[key] > 1 ? `${key} #${counts[key]}` : key, ...node }
+    })
+}
+
+/*
+    Builds the structural map of a document. Plain DOM code, so that it runs the same in the browser and under Node.
+*/
+export function collectStructure(doc) {
+    const all = (selector) => Array.from(doc.querySelectorAll(selector))
+    const tagOf = (elem) => elem.tagName.toLowerCase()
+
+    return {
+        landmarks: withKeys(all(LANDMARK_SELECTOR).map((elem) => ({
+            tag: tagOf(elem),
+            role: elem.getAttribute('role') || '',
+            id: elem.id || '',
+        })), (node) => (node.role ? `${node.tag}[role="${node.role}"]` : node.tag)),
+
+        fields: withKeys(all('input:not([type="hidden"]), select, textarea').map((elem) => ({
+            tag: tagOf(elem),
+            type: tagOf(elem) === 'input' ? (elem.getAttribute('type') || 'text') : '',
+            name: elem.getAttribute('name') || '',
+            label: labelOf(elem, doc),
+        })), (node) => (node.name ? `${node.tag}[name="${node.name}"]` : `${node.tag} "${node.label}"`)),
+
+        buttons: withKeys(all('button, [role="button"]').map((elem) => ({
+            type: elem.getAttribute('type') || '',
+            text: normalizeText(elem.textContent) || normalizeText(elem.getAttribute('aria-label')),
+        })), (node) => `button[type="${node.type}"]`),
+
+        links: withKeys(all('a[href]').map((elem) => ({
+            href: elem.getAttribute('href'),
+            text: normalizeText(elem.textContent) || normalizeText(elem.getAttribute('aria-label')),
+        })), (node) => node.href),
+
+        images: withKeys(all('img[src]').map((elem) => ({
+            src: normalizeUrl(elem.getAttribute('src'), doc),
+            alt: normalizeText(elem.getAttribute('alt')),
+        })), (node) => node.src),
+
+        options: withKeys(all('select option').map((elem) => ({
+            select: labelOf(elem.closest('select'), doc),
+            value: elem.getAttribute('value') || '',
+            text: normalizeText(elem.textContent),
+        })), (node) => `${node.select}: ${node.value}`),
+    }
+}
@@ -0,0 +1,140 @@
+/*
+    Tag-based test selection.
+
+    Suites and tests may be tagged by passing a config object with "tags" to describe() / it():
+
+        describe('Test all Footer Links', { tags: '@footer' }, () => {
+            it('should have all transient links ...', { tags: ['@transient'] }, () => { ... })
+        })
+
+    A test carries its own tags plus the tags of every suite that contains it. The filters come from the
+    "includeTags" and "excludeTags" env values (normalized into arrays in ./cypress/plugins/tags.js), e.g.
+    "npx cypress run --env includeTags=@smoke" or "npx cypress run --env excludeTags=@transient". A test runs when
+    it has at least one included tag (or no include filter is set) and none of the excluded tags. Tests that are
+    filtered out are not registered at all, so suites left without tests do not run their hooks (or visit the page).
+
+    Failures of tests tagged @transient are reported as warnings instead of failing the run -- see TRANSIENT_TAG.
+*/
+
+export const TRANSIENT_TAG = '@transient'
+
+// Tags of the suites currently being defined, innermost last
+const suite_tag_stack = []
+
+// Failures of @transient tests, reported at the end of the spec
+const transient_warnings = []
+
+
+function toTagList(tags) {
+    if (!tags) {
+        return []
+    }
+    return Array.isArray(tags) ? tags : [tags]
+}
+
+function currentSuiteTags() {
+    return suite_tag_stack.reduce((all_tags, suite_tags) => all_tags.concat(suite_tags), [])
+}
+
+function shouldRun(test_tags) {
+    const include_tags = Cypress.env('includeTags') || []
+    const exclude_tags = Cypress.env('excludeTags') || []
+
+    if (test_tags.some((tag) => exclude_tags.includes(tag))) {
+        return false
+    }
+    return include_tags.length === 0 || test_tags.some((tag) => include_tags.includes(tag))
+}
+
+/*
+    Splits the optional config argument of describe() / it() into its tags and the remaining Cypress config.
+*/
+function parseArguments(title, config, fn) {
+    if (typeof config === 'function') {
+        return { title, tags: [], config: undefined, fn: config }
+    }
+    const { tags, ...cypress_config } = config || {}
+    return { title, tags: toTagList(tags), config: cypress_config, fn }
+}
+
+function callWithConfig(original, title, config, fn) {
+    return config && Object.keys(config).length > 0 ? original(title, config, fn) : original(title, fn)
+}
+
+function wrapDescribe(original) {
+    return function (title, config, fn) {
+        const args = parseArguments(title, config, fn)
+
+        return callWithConfig(original, args.title, args.config, function () {
+            suite_tag_stack.push(args.tags)
+            try {
+                return args.fn.apply(this, arguments)
+            } finally {
+                suite_tag_stack.pop()
+            }
+        })
+    }
+}
+
+function wrapIt(original) {
+    return function (title, config, fn) {
+        const args = parseArguments(title, config, fn)
+        const test_tags = currentSuiteTags().concat(args.tags)
+
+        if (!shouldRun(test_tags)) {
+            return undefined
+        }
+
+        const test = callWithConfig(original, args.title, args.config, args.fn)
+        if (test) {
+            test.tags = test_tags
+        }
+        return test
+    }
+}
+
+function wrapSkip(original) {
+    return function (title, config, fn) {
+        const args = parseArguments(title, config, fn)
+        return callWithConfig(original, args.title, args.config, args.fn)
+    }
+}
+
+function installWrappers(name, wrap) {
+    const original = window[name]
+    const wrapped = wrap(original)
+    wrapped.only = wrap(original.only)
+    wrapped.skip = wrapSkip(original.skip)
+    window[name] = wrapped
+}
+
+
+installWrappers('describe', wrapDescribe)
+installWrappers('context', wrapDescribe)
+installWrappers('it', wrapIt)
+installWrappers('specify', wrapIt)
+
+
+/*
+    Returns the tags of a Mocha test (or hook) -- for a hook, the tags of the test it ran for.
+*/
+export function tagsOf(runnable) {
+    const test = runnable.type === 'hook' ? runnable.ctx && runnable.ctx.currentTest : runnable
+    return (test && test.tags) || []
+}
+
+
+// Transient tests check content that is known to come and go, so their failures are warnings, not failures
+Cypress.on('fail', (err, runnable) => {
+    if (!tagsOf(runnable).includes(TRANSIENT_TAG)) {
+        throw err
+    }
+    transient_warnings.push({ test: runnable.fullTitle(), message: err.message })
+    return false
+})
+
+after(() => {
+    if (transient_warnings.length > 0) {
+        cy.task('reportTransientWarnings', { spec: Cypress.spec.relative, warnings: transient_warnings.splice(0) }, { log: false })
+    }
+})
@@ -0,0 +1,213 @@
+/*
+    Viewport profiles, and running the suites across them.
+
+    Each profile in VIEWPORT_PROFILES is a named screen size with the layout expected at that size. To run every suite once
+    per profile, select the profiles with the "viewports" env value -- "all", or a list separated by spaces or commas:
+
+        npx cypress run --env viewports=all
+        npx cypress run --env viewports="small-phone laptop"
+
+    Each top-level suite is then registered once per selected profile, with the profile in its title (e.g.
+    "Test phone graphic images [tablet 768x1024]"), and the viewport is set before its hooks and tests run. Without the
+    env value, the suites run once at the default viewport. A suite can limit the profiles it runs at with the "viewports"
+    config key -- a list of profile names -- or opt out with { viewports: false } when it sets its own viewport:
+
+        describe('Test phone graphic images', { tags: '@phone-graphic', viewports: PHONE_GRAPHIC_VIEWPORTS }, () => { ... })
+
+    The result of every test run at a profile is written to ./cypress/reports/viewports.json, grouped per profile.
+*/
+
+// Widths at or below this hide the phone graphic (the max-width of the page's media query)
+export const PHONE_GRAPHIC_BREAKPOINT = 875
+
+export const VIEWPORT_PROFILES = {
+    'small-phone': {
+        width: 320,
+        height: 568,
+        expectations: { phone_graphic_visible: false },
+    },
+    'large-phone': {
+        width: 414,
+        height: 896,
+        expectations: { phone_graphic_visible: false },
+    },
+    tablet: {
+        width: 768,
+        height: 1024,
+        expectations: { phone_graphic_visible: false },
+    },
+    laptop: {
+        width: 1366,
+        height: 768,
+        expectations: { phone_graphic_visible: true },
+    },
+    'wide-desktop': {
+        width: 1920,
+        height: 1080,
+        expectations: { phone_graphic_visible: true },
+    },
+}
+
+// Profiles at which the phone graphic is shown
+export const PHONE_GRAPHIC_VIEWPORTS = Object.keys(VIEWPORT_PROFILES)
+    .filter((name) => VIEWPORT_PROFILES[name].expectations.phone_graphic_visible)
+
+// Profile of the test that is running, if it runs at one
+let active_profile_name = null
+
+// Results of the tests run at each profile, for the report
+let viewport_results = {}
+
+// Depth of the suite currently being defined -- only top-level suites are repeated per profile
+let suite_depth = 0
+
+
+/*
+    The requested profile names from --env viewports, or null when none were requested.
+*/
+function requestedViewports() {
+    const requested = Cypress.env('viewports')
+    if (!requested) {
+        return null
+    }
+    if (requested === 'all') {
+        return Object.keys(VIEWPORT_PROFILES)
+    }
+
+    const names = Array.isArray(requested) ? requested : String(requested).split(/[\s,]+/).filter((name) => name)
+    const unknown = names.filter((name) => !VIEWPORT_PROFILES[name])
+    if (unknown.length > 0) {
+        throw new Error(`Unknown viewport profile(s): ${unknown.join(', ')} -- expected one of: ${Object.keys(VIEWPORT_PROFILES).join(', ')}`)
+    }
+    return names
+}
+
+/*
+    The profiles to check: the ones requested with --env viewports, or all of them.
+*/
+export function selectedViewports() {
+    return requestedViewports() || Object.keys(VIEWPORT_PROFILES)
+}
+
+export function viewportTitle(name) {
+    const profile = VIEWPORT_PROFILES[name]
+    return `${name} ${profile.width}x${profile.height}`
+}
+
+/*
+    Sets the viewport to the named profile, and records it as the profile of the running test.
+*/
+export function useViewport(name) {
+    const profile = VIEWPORT_PROFILES[name]
+
+    active_profile_name = name
+    return cy.viewport(profile.width, profile.height)
+}
+
+/*
+    The profile of the running test, or null when it runs at the default viewport.
+*/
+export function currentViewport() {
+    return active_profile_name && { name: active_profile_name, ...VIEWPORT_PROFILES[active_profile_name] }
+}
+
+
+/*
+    Splits the optional config argument of describe() into the suite's profiles and the remaining config.
+*/
+function parseArguments(config, fn) {
+    if (typeof config === 'function') {
+        return { viewports: undefined, config: undefined, fn: config }
+    }
+    const { viewports, ...remaining_config } = config || {}
+    return { viewports, config: remaining_config, fn }
+}
+
+function callWithConfig(original, title, config, fn) {
+    return config && Object.keys(config).length > 0 ? original(title, config, fn) : original(title, fn)
+}
+
+function suiteViewports(suite_viewports) {
+    const requested = requestedViewports()
+    if (!requested || suite_viewports === false || suite_depth > 0) {
+        return null
+    }
+    return Array.isArray(suite_viewports) ? requested.filter((name) => suite_viewports.includes(name)) : requested
+}
+
+function wrapDescribe(original) {
+    return function (title, config, fn) {
+        const args = parseArguments(config, fn)
+        const body = function () {
+            suite_depth += 1
+            try {
+                return args.fn.apply(this, arguments)
+            } finally {
+                suite_depth -= 1
+            }
+        }
+        const profile_names = suiteViewports(args.viewports)
+
+        if (!profile_names) {
+            return callWithConfig(original, title, args.config, body)
+        }
+
+        return profile_names.map((name) => callWithConfig(original, `${title} [${viewportTitle(name)}]`, args.config, function () {
+            // Registered ahead of the suite's own hooks, so the page is visited at the profile's size
+            before(() => {
+                useViewport(name)
+            })
+            beforeEach(() => {
+                useViewport(name)
+            })
+            return body.apply(this, arguments)
+        }))
+    }
+}
+
+function wrapSkip(original) {
+    return function (title, config, fn) {
+        const args = parseArguments(config, fn)
+        return callWithConfig(original, title, args.config, args.fn)
+    }
+}
+
+function installWrappers(name) {
+    const original = window[name]
+    const wrapped = wrapDescribe(original)
+    wrapped.only = wrapDescribe(original.only)
+    wrapped.skip = wrapSkip(original.skip)
+    window[name] = wrapped
+}
+
+
+installWrappers('describe')
+installWrappers('context')
+
+
+beforeEach(() => {
+    active_profile_name = null
+})
+
+afterEach(function () {
+    if (!active_profile_name) {
+        return
+    }
+    if (!viewport_results[active_profile_name]) {
+        const profile = VIEWPORT_PROFILES[active_profile_name]
+        viewport_results[active_profile_name] = { width: profile.width, height: profile.height, passed: 0, failed: 0, tests: [] }
+    }
+    const results = viewport_results[active_profile_name]
+    const state = this.currentTest.state
+
+    results[state === 'passed' ? 'passed' : 'failed'] += 1
+    results.tests.push({ test: this.currentTest.fullTitle(), state })
+})
+
+after(() => {
+    if (Object.keys(viewport_results).length > 0) {
+        const report = viewport_results
+        viewport_results = {}
+        cy.task('writeReport', { name: 'viewports', report }, { log: false })
+    }
+})
@@ -0,0 +1,89 @@
+/*
+    Visual regression snapshots of page regions.
+
+        cy.matchRegionSnapshot('loginForm')     -- screenshots one of the named regions in VISUAL_REGIONS and compares it
+
+    The screenshot is compared pixel by pixel with the committed baseline of the environment in
+    ./cypress/snapshots/visual/<environment> by the compareSnapshot
+    task (./cypress/plugins/visual.js). Each region has its own threshold: the largest share of differing pixels that still
+    passes. Parts of a region that change on their own -- the rotating phone screenshots, the copyright year -- are masked
+    (blacked out) before the screenshot is taken. A failed comparison writes a diff image to ./cypress/reports/visual, and
+    every comparison is written to ./cypress/reports/visual.json at the end of the spec.
+
+    To accept the current rendering as the new baseline, run with --env updateSnapshots=true and commit the changed images.
+    A region without a baseline is not compared -- the comparison is skipped, with a warning, until one is captured this way.
+*/
+
+import { envConfig, isUpdateMode } from './environment'
+
+// Regions of the Login page that are snapshotted by name
+export const VISUAL_REGIONS = {
+    loginForm: {
+        selector: '#loginForm',
+        threshold: 0.001,
+        mask: [],
+    },
+    phoneGraphic: {
+        selector: 'main article',
+        threshold: 0.01,
+        mask: ['main article div > img[alt]'],
+    },
+    footer: {
+        selector: 'footer[role="contentinfo"]',
+        threshold: 0.005,
+        // The copyright line carries the current year (the innermost element with the copyright sign)
+        mask: ['footer div:contains("©"):not(:has(div))'],
+    },
+}
+
+const SNAPSHOTS_SCREENSHOT_FOLDER = 'visual'
+
+// Comparisons made by every snapshot in the spec, for the report
+const snapshot_results = []
+
+
+function formatResult(result) {
+    const files = [`baseline: ${result.baseline}`, result.diff && `diff: ${result.diff}`].filter(Boolean).join(', ')
+    return `Region "${result.name}" does not match its baseline -- ${result.message} (${files})`
+}
+
+
+Cypress.Commands.add('matchRegionSnapshot', (region) => {
+    const config = VISUAL_REGIONS[region]
+    if (!config) {
+        throw new Error(`Unknown visual region "${region}" -- expected one of: ${Object.keys(VISUAL_REGIONS).join(', ')}`)
+    }
+
+    let screenshot_path = null
+
+    cy.get(config.selector, { log: false }).should('be.visible').screenshot(`${SNAPSHOTS_SCREENSHOT_FOLDER}/${region}`, {
+        blackout: config.mask,
+        overwrite: true,
+        onAfterScreenshot($region, props) {
+            screenshot_path = props.path
+        },
+    })
+
+    cy.then(() => cy.task('compareSnapshot', {
+        name: `${envConfig('name')}/${region}`,
+        screenshot_path,
+        threshold: config.threshold,
+        update: isUpdateMode(),
+    }, { log: false })).then((result) => {
+        snapshot_results.push(result)
+        Cypress.log({
+            name: 'matchRegionSnapshot',
+            message: `${region}: ${result.status}${result.message ? ` -- ${result.message}` : ''}`,
+            consoleProps: () => result,
+        })
+
+        assert(result.status !== 'failed', result.status === 'failed' ? formatResult(result) : `region ${result.status}`)
+    })
+})
+
+
+after(() => {
+    if (snapshot_results.length > 0) {
+        cy.task('writeReport', { name: 'visual', report: snapshot_results.splice(0) }, { log: false })
+    }
+})
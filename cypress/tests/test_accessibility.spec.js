@@ -0,0 +1,87 @@
+/// <reference types="cypress" />
+
+import { LoginForm } from '../support/pages'
+
+
+/*
+    Accessibility audit of the Login page.
+
+    Notes:  These tests run axe-core (through the cy.auditA11y() command in ./cypress/support/a11y.js) against the whole page and
+            against the Login Form, Footer, and phone graphic regions. Known violations are listed in the committed baseline
+            of the environment, ./cypress/snapshots/a11y/<environment>.json, so only new violations fail a test. An
+            environment without a baseline is audited, but not compared. Every violation found is written to
+            ./cypress/reports/accessibility.json with its rule, impact, selector, and suggested fix.
+
+            When a known violation is fixed, remove it from the baseline so that it cannot come back unnoticed. To record
+            the violations found as the baseline, run with --env updateSnapshots=true, and review the changes before
+            committing them.
+*/
+
+
+describe('Test accessibility of the Login page', { tags: '@a11y' }, () => {
+    /*
+        This test suite audits the Login page, and each region of it, for accessibility violations.
+    */
+    const login_form = new LoginForm()
+
+    before(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+
+    it('should have no new accessibility violations on the whole page', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Whole page - no violations outside of the baseline
+        */
+
+        /* Assert */
+        cy.auditA11y('page')
+    })
+
+
+    it('should have no new accessibility violations in the Login Form', () => {
+        /*
+            Verify:  Login Form - no violations outside of the baseline
+        */
+
+        /* Assert */
+        cy.auditA11y('loginForm')
+    })
+
+
+    it('should have no new accessibility violations in the Footer', () => {
+        /*
+            Verify:  Footer - no violations outside of the baseline
+        */
+
+        /* Assert */
+        cy.auditA11y('footer')
+    })
+
+
+    it('should have no new accessibility violations in the phone graphic', () => {
+        /*
+            Verify:  Phone graphic - no violations outside of the baseline
+        */
+
+        /* Assert */
+        cy.auditA11y('phoneGraphic')
+    })
+
+
+    it('should have no new accessibility violations in the Login Form once the password is shown', () => {
+        /*
+            Verify:  Login Form with the Show / Hide button present and toggled - no violations outside of the baseline
+        */
+
+        /* Arrange */
+        login_form.typePassword('Test Password')
+
+        /* Act */
+        login_form.togglePasswordVisibility()
+
+        /* Assert */
+        cy.auditA11y('loginForm')
+    })
+})
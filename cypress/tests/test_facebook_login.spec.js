@@ -0,0 +1,238 @@
+/// <reference types="cypress" />
+
+import facebook_oauth from '../fixtures/facebook/oauth.json'
+import { FACEBOOK_LOGIN_ENDPOINT, LoginForm } from '../support/pages'
+
+
+/*
+    Facebook login handoff tests.
+
+    Notes:  "Log in with Facebook" hands off to the Facebook OAuth dialog, which sends the user back to Instagram with an
+            authorization code -- or an error, when they do not allow it. These tests never reach Facebook: the navigation
+            to the dialog is intercepted with cy.intercept(), its URL is recorded, and the dialog is stood in for by a
+            redirect to the redirect_uri with the callback parameters Facebook would send (and the state the page sent).
+            The expected client id, redirect path, and scopes, and the callback parameters, are in
+            ./cypress/fixtures/facebook/oauth.json.
+
+            On the way back, the endpoint that exchanges the code for a session is stubbed too, as are the pages a
+            successful login navigates to.
+*/
+
+
+// Shown when the user does not allow the Facebook login, and when the callback cannot be trusted
+const DENIED_MESSAGE = 'Facebook login was canceled. Log in with your username and password, or try again.'
+const FAILED_MESSAGE = 'There was a problem logging you in with Facebook. Please try again.'
+
+
+/*
+    Stands in for the Facebook OAuth dialog: answers the handoff the way Facebook does once the user has decided, by
+    redirecting to the redirect_uri with the callback parameters and the state the Login page sent. A redirect_uri
+    that does not lead back to the site under test is answered with an error page instead.
+*/
+function stubFacebookDialog(callback_params) {
+    cy.intercept({ hostname: facebook_oauth.dialog.host, pathname: new RegExp(facebook_oauth.dialog.path) }, (req) => {
+        const dialog_params = new URL(req.url).searchParams
+        const redirect_uri = dialog_params.get('redirect_uri') || ''
+
+        if (!redirect_uri.startsWith(new URL(Cypress.config('baseUrl')).origin)) {
+            req.reply({ statusCode: 400, body: `Stand-in for the Facebook dialog: unexpected redirect_uri "${redirect_uri}"` })
+            return
+        }
+
+        const callback_url = new URL(redirect_uri)
+        Object.keys(callback_params).forEach((name) => callback_url.searchParams.set(name, callback_params[name]))
+        callback_url.searchParams.set('state', dialog_params.get('state'))
+        req.redirect(callback_url.toString())
+    }).as('facebookDialog')
+}
+
+/*
+    Yields the URL of the Facebook OAuth dialog that the Login page handed off to.
+*/
+function waitForHandoff() {
+    return cy.wait('@facebookDialog').then(({ request }) => new URL(request.url))
+}
+
+function scopesOf(dialog_url) {
+    return (dialog_url.searchParams.get('scope') || '').split(/[\s,]+/).filter((scope) => scope).sort()
+}
+
+
+describe('Test the handoff from the Login page to the Facebook OAuth dialog', { tags: '@facebook' }, () => {
+    /*
+        This test suite clicks "Log in with Facebook" and verifies the URL of the Facebook OAuth dialog it navigates to:
+        the host, the client id, the redirect URI back to Instagram, the state, and the requested scopes.
+    */
+    const login_form = new LoginForm()
+
+    beforeEach(() => {
+        // Start on the Login page, whose "Log in with Facebook" button every test hands off from
+        login_form.visit()
+
+        // Send the user straight back, as if they closed the dialog, so that the page does not leave the site
+        stubFacebookDialog(facebook_oauth.callbacks.denied)
+        login_form.logInWithFacebook()
+        waitForHandoff().as('dialogUrl')
+    })
+
+
+    it('should hand off to the OAuth dialog on www.facebook.com over HTTPS', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Dialog URL - protocol, host, and path of the OAuth dialog
+        */
+
+        /* Assert */
+        cy.get('@dialogUrl').then((dialog_url) => {
+            expect(dialog_url.protocol, 'protocol').to.eq('https:')
+            expect(dialog_url.hostname, 'host').to.eq(facebook_oauth.dialog.host)
+            expect(dialog_url.pathname, 'path').to.match(new RegExp(facebook_oauth.dialog.path))
+        })
+    })
+
+
+    it("should identify Instagram's Facebook app with its client id", () => {
+        /*
+            Verify:  client_id parameter - Instagram's Facebook app id
+        */
+
+        /* Assert */
+        cy.get('@dialogUrl').then((dialog_url) => {
+            expect(dialog_url.searchParams.get('client_id'), 'client_id').to.eq(facebook_oauth.client_id)
+        })
+    })
+
+
+    it('should ask Facebook to redirect back to the Login page on the same site', () => {
+        /*
+            Verify:  redirect_uri parameter - same origin as the page, and the expected callback path
+        */
+
+        /* Assert */
+        cy.get('@dialogUrl').then((dialog_url) => {
+            const redirect_uri = new URL(dialog_url.searchParams.get('redirect_uri'))
+
+            expect(redirect_uri.origin, 'redirect_uri origin').to.eq(new URL(Cypress.config('baseUrl')).origin)
+            expect(redirect_uri.pathname, 'redirect_uri path').to.eq(facebook_oauth.redirect_path)
+        })
+    })
+
+
+    it('should send a fresh, unguessable state with every handoff', () => {
+        /*
+            Verify:  state parameter - present, long enough to be a nonce, and different for the next handoff
+        */
+
+        /* Arrange */
+        cy.get('@dialogUrl').then((first_dialog_url) => {
+            const first_state = first_dialog_url.searchParams.get('state')
+
+            /* Act */
+            login_form.visit()
+            login_form.logInWithFacebook()
+
+            /* Assert */
+            waitForHandoff().then((second_dialog_url) => {
+                expect(first_state, 'state').to.have.length.of.at.least(facebook_oauth.min_state_length)
+                expect(second_dialog_url.searchParams.get('state'), 'state of the next handoff').to.not.eq(first_state)
+            })
+        })
+    })
+
+
+    it('should request only the expected scopes', () => {
+        /*
+            Verify:  scope parameter - exactly the scopes listed in the fixture, nothing more
+        */
+
+        /* Assert */
+        cy.get('@dialogUrl').then((dialog_url) => {
+            expect(scopesOf(dialog_url), 'scopes').to.deep.eq([...facebook_oauth.scopes].sort())
+        })
+    })
+})
+
+
+
+
+describe('Test the return from the Facebook OAuth dialog to the Login page', { tags: '@facebook' }, () => {
+    /*
+        This test suite loads the Login page with the callback parameters of a Facebook login that was allowed, denied,
+        or forged, and verifies how the page reacts.
+    */
+    const login_form = new LoginForm()
+
+    beforeEach(() => {
+        // Start on the Login page, and stub the exchange of the callback's code for a session with a successful one
+        login_form.visit()
+        cy.intercept('POST', FACEBOOK_LOGIN_ENDPOINT, { statusCode: 200, fixture: 'facebook/login_success.json' }).as('facebookLogin')
+    })
+
+
+    it('should exchange the code for a session and move on to the one-tap page when Facebook login is allowed', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Allowed - the code and state are posted to the Facebook login endpoint, then the page navigates on
+        */
+
+        /* Arrange */
+        cy.intercept({ method: 'GET', pathname: '/accounts/onetap/' }, { fixture: 'login/stub_page.html' }).as('onetap')
+        stubFacebookDialog(facebook_oauth.callbacks.success)
+
+        /* Act */
+        login_form.logInWithFacebook()
+
+        /* Assert */
+        waitForHandoff().then((dialog_url) => {
+            cy.wait('@facebookLogin').its('request.body').then((body) => {
+                const params = new URLSearchParams(body)
+                expect(params.get('code'), 'code').to.eq(facebook_oauth.callbacks.success.code)
+                expect(params.get('state'), 'state').to.eq(dialog_url.searchParams.get('state'))
+            })
+        })
+        cy.wait('@onetap')
+        cy.location('pathname').should('eq', '/accounts/onetap/')
+    })
+
+
+    it('should stay on the Login page and say that Facebook login was canceled when it is denied', () => {
+        /*
+            Verify:  Denied - error message, no code exchange, callback parameters removed, and the form still usable
+        */
+
+        /* Arrange */
+        stubFacebookDialog(facebook_oauth.callbacks.denied)
+
+        /* Act */
+        login_form.logInWithFacebook()
+
+        /* Assert */
+        waitForHandoff()
+        login_form.errorAlert
+            .should('be.visible')
+            .and('have.text', DENIED_MESSAGE)
+        cy.location('pathname').should('eq', facebook_oauth.redirect_path)
+        cy.location('search').should('eq', '')
+        cy.get('@facebookLogin.all').should('have.length', 0)
+        login_form.usernameInput.should('be.enabled')
+        login_form.passwordInput.should('be.enabled')
+    })
+
+
+    it('should refuse a callback whose state the page did not send', () => {
+        /*
+            Verify:  Forged callback - a code with an unknown state is not exchanged, and an error is shown
+        */
+
+        /* Arrange */
+        const forged_callback = new URLSearchParams({ ...facebook_oauth.callbacks.success, state: 'forged-state' })
+
+        /* Act */
+        cy.visit(`${facebook_oauth.redirect_path}?${forged_callback.toString()}`)
+
+        /* Assert */
+        login_form.errorAlert
+            .should('be.visible')
+            .and('have.text', FAILED_MESSAGE)
+        cy.get('@facebookLogin.all').should('have.length', 0)
+        cy.location('pathname').should('eq', facebook_oauth.redirect_path)
+    })
+})
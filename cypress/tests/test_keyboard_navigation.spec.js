@@ -0,0 +1,240 @@
+/// <reference types="cypress" />
+
+import { Footer, LOGIN_ENDPOINT, LoginForm } from '../support/pages'
+
+
+/*
+    Keyboard-only tests of the Login page.
+
+    Notes:  Every interaction in these tests is a key press -- Tab, Space, Enter, and the arrow keys -- sent through the Chrome
+            DevTools Protocol with cypress-real-events (cy.realPress(), cy.realType()), so that the browser moves focus and
+            activates elements the way it does for a keyboard user. Cypress' own .type() does not move focus on Tab. These tests
+            therefore only run in Chromium-based browsers (and Electron).
+
+            No element is focused by script: each test starts on the freshly loaded page and tabs into it from the
+            document, as a keyboard user does.
+
+            The login endpoint is stubbed with cy.intercept(), so no credentials are sent to Instagram.
+*/
+
+
+const TEST_USERNAME = 'test_username'
+const TEST_PASSWORD = 'Test Password'
+
+// Most Tab presses to look for an element before giving up
+const MAX_TAB_PRESSES = 40
+
+// Computed styles that can show focus -- on the focused element, or on the field around it
+const FOCUS_STYLE_PROPERTIES = ['outline-style', 'outline-width', 'outline-color', 'box-shadow', 'border-color', 'background-color']
+const FOCUS_STYLE_ANCESTORS = 2
+
+
+/*
+    The computed styles that can show focus, for an element and its closest ancestors.
+*/
+function focusStylesOf(elem) {
+    const styles = []
+    let current = elem
+
+    for (let depth = 0; current && depth <= FOCUS_STYLE_ANCESTORS; depth += 1) {
+        const computed = current.ownerDocument.defaultView.getComputedStyle(current)
+        styles.push(FOCUS_STYLE_PROPERTIES.map((property) => `${property}: ${computed.getPropertyValue(property)}`).join('; '))
+        current = current.parentElement
+    }
+    return styles.join(' | ')
+}
+
+/*
+    Asserts that the element yielded by the chain has focus.
+*/
+function verifyFocused(element_chain, description) {
+    element_chain.then(($expected) => {
+        cy.focused().should(($focused) => {
+            expect($focused.get(0) === $expected.get(0), `${description} has focus`).to.equal(true)
+        })
+    })
+}
+
+/*
+    Presses Tab until the element from get_element() has focus.
+*/
+function tabUntilFocused(get_element, description, presses = 0) {
+    get_element().then(($target) => {
+        cy.document().then((doc) => {
+            if (doc.activeElement === $target.get(0)) {
+                return
+            }
+            assert(presses < MAX_TAB_PRESSES, `${description} did not receive focus within ${MAX_TAB_PRESSES} Tab presses`)
+            cy.realPress('Tab')
+            tabUntilFocused(get_element, description, presses + 1)
+        })
+    })
+}
+
+/*
+    Gives the page itself keyboard focus, with none of its elements focused -- as after loading it -- and tabs from the
+    document until the element from get_element() has focus.
+*/
+function tabFromDocument(get_element, description) {
+    cy.window().then((win) => win.focus())
+    tabUntilFocused(get_element, description)
+}
+
+
+describe('Test keyboard-only use of the Login page', { tags: '@keyboard', browser: '!firefox' }, () => {
+    /*
+        This test suite drives the Login Form and the language selector with the keyboard only, and verifies the tab order,
+        the focus indicator, and the keyboard activation of the Show / Hide button, the Log In action, and the language selector.
+    */
+    const login_form = new LoginForm()
+    const footer = new Footer()
+
+    // The Login Form elements in their expected tab order
+    const TAB_ORDER = [
+        { description: 'username input', element: () => login_form.usernameInput },
+        { description: 'password input', element: () => login_form.passwordInput },
+        { description: 'Show / Hide button', element: () => login_form.passwordVisibilityButton },
+        { description: 'Log In button', element: () => login_form.submitButton },
+        { description: 'Log in with Facebook button', element: () => login_form.facebookButton },
+        { description: 'Forgot password link', element: () => login_form.forgotPasswordLink },
+    ]
+
+    /*
+        Types the credentials with the keyboard, tabbing from the document to the username field and on to the password
+        field. The Show / Hide button only appears, and the Log In button is only enabled, once both are filled in.
+    */
+    function typeCredentials() {
+        tabFromDocument(() => login_form.usernameInput, 'username input')
+        cy.realType(TEST_USERNAME)
+        cy.realPress('Tab')
+        cy.realType(TEST_PASSWORD)
+    }
+
+    /*
+        Records the focus styles of the elements in the tab order that do not have focus.
+    */
+    function recordUnfocusedStyles(unfocused_styles) {
+        TAB_ORDER.forEach((stop) => {
+            stop.element().then(($elem) => {
+                const elem = $elem.get(0)
+                if (elem !== elem.ownerDocument.activeElement) {
+                    unfocused_styles[stop.description] = focusStylesOf(elem)
+                }
+            })
+        })
+    }
+
+    beforeEach(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+
+    it('should move focus from username to password, Show / Hide, Log In, Facebook login, and Forgot password with Tab', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Tab order - each Tab press moves focus to the next Login Form element
+        */
+
+        /* Arrange */
+        typeCredentials()
+        login_form.submitButton.should('be.enabled')
+        verifyFocused(login_form.passwordInput, 'password input')
+
+        /* Act & Assert */
+        TAB_ORDER.slice(2).forEach((stop) => {
+            cy.realPress('Tab')
+            verifyFocused(stop.element(), stop.description)
+        })
+    })
+
+
+    it('should visibly indicate focus on every element in the tab order', () => {
+        /*
+            Verify:  Focus indicator - the focused element (or its field) looks different from when it is not focused
+        */
+
+        /* Arrange */
+        const unfocused_styles = {}
+
+        typeCredentials()
+        recordUnfocusedStyles(unfocused_styles)
+        cy.realPress(['Shift', 'Tab'])
+        verifyFocused(login_form.usernameInput, 'username input')
+        recordUnfocusedStyles(unfocused_styles)
+
+        /* Act & Assert */
+        TAB_ORDER.forEach((stop, index) => {
+            if (index > 0) {
+                cy.realPress('Tab')
+            }
+            verifyFocused(stop.element(), stop.description)
+            stop.element().should(($elem) => {
+                expect(focusStylesOf($elem.get(0)), `focus styles of the ${stop.description}`).to.not.equal(unfocused_styles[stop.description])
+            })
+        })
+    })
+
+
+    it('should toggle the password visibility with Space and Enter on the Show / Hide button', () => {
+        /*
+            Verify:  Show / Hide button - Space shows the password, Enter hides it again, and focus stays on the button
+        */
+
+        /* Arrange */
+        typeCredentials()
+        cy.realPress('Tab')
+        verifyFocused(login_form.passwordVisibilityButton, 'Show / Hide button')
+
+        /* Act */
+        cy.realPress('Space')
+
+        /* Assert */
+        login_form.passwordInput.should('have.attr', 'type', 'text').and('have.value', TEST_PASSWORD)
+
+        /* Act */
+        cy.realPress('Enter')
+
+        /* Assert */
+        login_form.passwordInput.should('have.attr', 'type', 'password').and('have.value', TEST_PASSWORD)
+        verifyFocused(login_form.passwordVisibilityButton, 'Show / Hide button')
+    })
+
+
+    it('should submit the Login Form when Enter is pressed in the password field', () => {
+        /*
+            Verify:  Enter in the password field - the form is submitted with the typed credentials
+        */
+
+        /* Arrange */
+        cy.intercept('POST', LOGIN_ENDPOINT, { statusCode: 200, fixture: 'login/wrong_password.json' }).as('login')
+        typeCredentials()
+
+        /* Act */
+        cy.realPress('Enter')
+
+        /* Assert */
+        cy.wait('@login').its('request.body').should('include', `username=${TEST_USERNAME}`)
+        login_form.errorAlert.should('be.visible')
+    })
+
+
+    it('should switch the display language from the keyboard with the language selector', () => {
+        /*
+            Verify:  Language selector - reachable with Tab, and the arrow keys select the next language
+        */
+
+        /* Arrange */
+        tabFromDocument(() => footer.languageSelect, 'language selector')
+
+        footer.languageSelect.find('option:selected').next('option').then(($next_option) => {
+            const next_language = $next_option.text().trim()
+
+            /* Act */
+            cy.realPress('ArrowDown')
+
+            /* Assert */
+            cy.get('html').should('have.attr', 'lang', $next_option.val())
+            footer.languagePicker.contains('span', next_language).should('be.visible')
+        })
+    })
+})
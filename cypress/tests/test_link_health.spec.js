@@ -0,0 +1,86 @@
+/// <reference types="cypress" />
+
+import { LINK_REPORT_COLUMNS, checkLink, collectLinks, toReportRow } from '../support/links'
+import { LoginForm } from '../support/pages'
+
+
+/*
+    Link health tests of the Login page.
+
+    Notes:  The other suites check the href of each link, but not that its target resolves. This suite collects every link on
+            the Login page and requests each target with cy.request, following redirects one at a time (see
+            ./cypress/support/links.js). The status, redirect chain, and final URL of every link are written to
+            ./cypress/reports/link_health.json, and a table of them to ./cypress/reports/link_health.txt (and the terminal).
+
+            A link is flagged for a 4xx / 5xx response, a redirect loop, or a redirect to another site that is not listed in
+            ./cypress/fixtures/link_health.json. All flagged links are reported in a single failure.
+
+            With --env environment=local, the targets are answered by the stand-in's link stubs (./cypress/standin/links.json),
+            so the suite runs offline.
+*/
+
+
+describe('Test link health of the Login page', { tags: '@links' }, () => {
+    /*
+        This test suite requests the target of every link on the Login page and verifies that it resolves.
+    */
+    const login_form = new LoginForm()
+
+    // Result of every link, for the report
+    const link_results = []
+
+    before(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+    after(() => {
+        cy.task('writeReport', { name: 'link_health', report: link_results }, { log: false })
+        cy.task('writeReportTable', { name: 'link_health', columns: LINK_REPORT_COLUMNS, rows: link_results.map(toReportRow) }, { log: false })
+    })
+
+
+    it('should have every link on the page resolve without errors, redirect loops, or unexpected cross-domain redirects', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Links - each target responds without a 4xx / 5xx status, loop, or unexpected cross-domain redirect
+        */
+
+        /* Arrange */
+        collectLinks().then((links) => {
+            expect(links, 'links on the page').to.not.be.empty
+
+            /* Act */
+            links.forEach((link) => {
+                checkLink(link).then((result) => {
+                    link_results.push(result)
+                })
+            })
+        })
+
+        /* Assert */
+        cy.then(() => {
+            const flagged = link_results.filter((result) => result.problems.length > 0)
+            const lines = flagged.map((result) => `  - "${result.label}" ${result.url}: ${result.problems.join('; ')}`)
+
+            assert(flagged.length === 0, `${flagged.length} of ${link_results.length} link(s) flagged:\n${lines.join('\n')}`)
+        })
+    })
+
+
+    it('should follow a redirect from the site under test to another instagram.com host without flagging it', () => {
+        /*
+            Verify:  Same-site redirect - /legal/privacy/ redirects to the privacy center, which is not a cross-domain hop
+        */
+
+        /* Arrange */
+        const privacy_link = { label: 'Privacy', href: '/legal/privacy/', url: new URL('/legal/privacy/', Cypress.config('baseUrl')).href }
+
+        /* Act */
+        checkLink(privacy_link).then((result) => {
+            /* Assert */
+            expect(result.redirects, 'redirects').to.be.at.least(1)
+            expect(new URL(result.final_url).hostname, 'final host').to.match(/(^|\.)instagram\.com$/)
+            expect(result.problems, 'problems').to.be.empty
+        })
+    })
+})
@@ -0,0 +1,97 @@
+/// <reference types="cypress" />
+
+import { Footer, LoginForm } from '../support/pages'
+import {
+    LOCALE_CATALOGS,
+    collectPageStrings,
+    compareWithCatalog,
+    countProblems,
+    formatProblems,
+    selectedLocales,
+    switchLanguage,
+} from '../support/localization'
+
+
+/*
+    Localization tests driven by the footer language selector.
+
+    Notes:  For each locale with a catalog in ./cypress/fixtures/locales, the language is switched through the footer language
+            selector, and the translated strings on the page -- the username / password placeholders, the Log In button, "or",
+            Log in with Facebook, Forgot password, the sign-up prompt, "Get the app.", and the footer link labels -- are checked
+            against the catalog. Each test reports every missing, untranslated, or mismatched string for its locale at once, and
+            all of the results are written to ./cypress/reports/localization.json.
+
+            For a quick run, check a subset of the locales with --env locales="fr de".
+
+            The language selector offers more languages than there are catalogs; the options without a catalog are listed by a
+            @transient test, so that they show up as warnings until catalogs are added.
+*/
+
+
+describe('Test localization of the Login page through the language selector', { tags: '@localization' }, () => {
+    /*
+        This test suite switches to each selected locale and verifies the translated strings against its catalog.
+    */
+    const login_form = new LoginForm()
+    const footer = new Footer()
+
+    // Localization problems per locale, for the report
+    const localization_report = {}
+
+    beforeEach(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+    after(() => {
+        cy.task('writeReport', { name: 'localization', report: localization_report }, { log: false })
+    })
+
+
+    it('should have a catalog for every option of the language selector', { tags: '@transient' }, () => {
+        /*
+            Verify:  Language Selector - every option has a locale catalog
+        */
+
+        /* Arrange */
+        const catalog_languages = Object.keys(LOCALE_CATALOGS).map((locale) => LOCALE_CATALOGS[locale].language)
+
+        /* Act */
+        footer.languageSelect.find('option').then(($options) => {
+            const option_languages = $options.toArray().map((option) => option.textContent.trim())
+            const uncatalogued = option_languages.filter((language) => !catalog_languages.includes(language))
+
+            localization_report.uncatalogued_options = uncatalogued
+
+            /* Assert */
+            expect(option_languages, 'language selector options').to.not.be.empty
+            assert(uncatalogued.length === 0, `${uncatalogued.length} language option(s) have no catalog: ${uncatalogued.join(', ')}`)
+        })
+    })
+
+
+    selectedLocales().forEach((locale) => {
+        const catalog = LOCALE_CATALOGS[locale]
+
+        it(`should show the Login page strings translated for "${locale}" (${catalog.language})`, () => {
+            /*
+                Verify:  Localized strings - each string matches the locale's catalog
+            */
+
+            /* Act */
+            switchLanguage(catalog)
+            cy.get('html').should('have.attr', 'dir', catalog.dir)
+
+            /* Assert */
+            collectPageStrings().then((page_strings) => {
+                const problems = compareWithCatalog(page_strings, catalog)
+                localization_report[locale] = problems
+
+                assert(countProblems(problems) === 0, formatProblems(locale, problems))
+            })
+
+            // The language selector shows the chosen language
+            footer.languagePicker.contains('span', catalog.language).should('be.visible')
+        })
+    })
+})
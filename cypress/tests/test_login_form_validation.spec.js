@@ -0,0 +1,221 @@
+/// <reference types="cypress" />
+
+import enablement_cases from '../fixtures/login_enablement_cases.json'
+import { LOGIN_ENDPOINT, LoginForm } from '../support/pages'
+
+
+/*
+    Client-side Login Form validation tests.
+
+    Notes:  The Log In button stays disabled until the form could be submitted -- a username that is not only whitespace, and a
+            password of at least the minimum length (6 characters). The boundary cases for these rules come from a table in
+            ./cypress/fixtures/login_enablement_cases.json; each entry has the text for each field and whether the button should
+            be enabled. To cover a new rule, add rows to the table.
+
+            Tests that press Enter stub the login endpoint, so nothing is ever submitted to Instagram.
+*/
+
+
+const VALID_USERNAME = 'test_username'
+const VALID_PASSWORD = 'Test Password'
+
+// How long to wait before concluding that pressing Enter did not submit the form
+const NO_SUBMIT_WAIT_MS = 1000
+
+
+describe('Test Log In button enablement rules', { tags: ['@input', '@validation'] }, () => {
+    /*
+        This test suite verifies when the Log In button is enabled, for each row of the enablement table.
+    */
+    const login_form = new LoginForm()
+
+    beforeEach(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+
+    it('should have the Log In button disabled before anything is entered', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Log In button - disabled on page load
+        */
+
+        /* Assert */
+        login_form.submitButton.should('be.disabled')
+    })
+
+
+    enablement_cases.forEach(({ case: case_name, username, password, enabled }) => {
+        it(`should have the Log In button ${enabled ? 'enabled' : 'disabled'} for: ${case_name}`, () => {
+            /*
+                Verify:  Log In button - enabled / disabled for the given username and password
+            */
+
+            /* Act */
+            // cy.type() does not accept an empty string, so an empty field is simply left alone
+            if (username.length > 0) {
+                login_form.typeUsername(username)
+            }
+            if (password.length > 0) {
+                login_form.typePassword(password)
+            }
+
+            /* Assert */
+            login_form.submitButton.should(enabled ? 'be.enabled' : 'be.disabled')
+        })
+    })
+})
+
+
+
+
+describe('Test Log In button state when fields are cleared', { tags: ['@input', '@validation'] }, () => {
+    /*
+        This test suite verifies that the Log In button returns to disabled when either field is cleared after typing, and
+        becomes enabled again once the field is refilled.
+    */
+    const login_form = new LoginForm()
+
+    beforeEach(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+
+        // Fill both fields so that the Log In button starts out enabled
+        login_form.typeUsername(VALID_USERNAME)
+        login_form.typePassword(VALID_PASSWORD)
+        login_form.submitButton.should('be.enabled')
+    })
+
+
+    it('should disable the Log In button when the username is cleared, and enable it when the username is retyped', () => {
+        /*
+            Verify:  Log In button - disabled after clearing the username, enabled after retyping it
+        */
+
+        /* Act */
+        login_form.clearUsername()
+
+        /* Assert */
+        login_form.submitButton.should('be.disabled')
+        login_form.typeUsername(VALID_USERNAME)
+        login_form.submitButton.should('be.enabled')
+    })
+
+
+    it('should disable the Log In button when the password is cleared, and enable it when the password is retyped', () => {
+        /*
+            Verify:  Log In button - disabled after clearing the password, enabled after retyping it
+        */
+
+        /* Act */
+        login_form.clearPassword()
+
+        /* Assert */
+        login_form.submitButton.should('be.disabled')
+        login_form.typePassword(VALID_PASSWORD)
+        login_form.submitButton.should('be.enabled')
+    })
+
+
+    it('should disable the Log In button when the password is shortened below the minimum length', () => {
+        /*
+            Verify:  Log In button - disabled after deleting characters from the password until it is too short
+        */
+
+        /* Act */
+        // VALID_PASSWORD is 13 characters; delete down to 5
+        login_form.passwordInput.type('{backspace}'.repeat(VALID_PASSWORD.length - 5))
+
+        /* Assert */
+        login_form.passwordInput.should('have.value', VALID_PASSWORD.slice(0, 5))
+        login_form.submitButton.should('be.disabled')
+    })
+
+
+    it('should disable the Log In button when the username is replaced with whitespace only', () => {
+        /*
+            Verify:  Log In button - disabled after replacing the username with spaces
+        */
+
+        /* Act */
+        login_form.clearUsername()
+        login_form.typeUsername('   ')
+
+        /* Assert */
+        login_form.submitButton.should('be.disabled')
+    })
+})
+
+
+
+
+describe('Test pressing Enter in the Login Form fields', { tags: ['@input', '@validation'] }, () => {
+    /*
+        This test suite verifies that pressing Enter in either field submits the form when (and only when) the Log In
+        button is enabled. The login endpoint is stubbed, and each test counts the login requests that were made.
+    */
+    const login_form = new LoginForm()
+
+    beforeEach(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+
+        // Stub the login endpoint so that a submission never leaves the browser
+        cy.intercept('POST', LOGIN_ENDPOINT, { statusCode: 200, fixture: 'login/wrong_password.json' }).as('login')
+    })
+
+
+    it('should submit the form when Enter is pressed in the username field', () => {
+        /*
+            Verify:  Enter in the username field - submits a valid form
+        */
+
+        /* Arrange */
+        login_form.typeUsername(VALID_USERNAME)
+        login_form.typePassword(VALID_PASSWORD)
+
+        /* Act */
+        login_form.usernameInput.type('{enter}')
+
+        /* Assert */
+        cy.wait('@login').its('request.body').should('contain', `username=${VALID_USERNAME}`)
+    })
+
+
+    it('should submit the form when Enter is pressed in the password field', () => {
+        /*
+            Verify:  Enter in the password field - submits a valid form
+        */
+
+        /* Arrange */
+        login_form.typeUsername(VALID_USERNAME)
+        login_form.typePassword(VALID_PASSWORD)
+
+        /* Act */
+        login_form.passwordInput.type('{enter}')
+
+        /* Assert */
+        cy.wait('@login').its('request.body').should('contain', `username=${VALID_USERNAME}`)
+    })
+
+
+    it('should not submit the form when Enter is pressed while the Log In button is disabled', () => {
+        /*
+            Verify:  Enter in either field - does not submit an invalid form
+        */
+
+        /* Arrange */
+        login_form.typeUsername(VALID_USERNAME)
+        login_form.typePassword('abc')
+        login_form.submitButton.should('be.disabled')
+
+        /* Act */
+        login_form.usernameInput.type('{enter}')
+        login_form.passwordInput.type('{enter}')
+
+        /* Assert */
+        cy.wait(NO_SUBMIT_WAIT_MS)
+        cy.get('@login.all').should('have.length', 0)
+        login_form.submitButton.should('be.disabled')
+    })
+})
@@ -0,0 +1,184 @@
+/// <reference types="cypress" />
+
+import { expectedText } from '../support/expectations'
+import { LOGIN_ENDPOINT, LoginForm, TwoFactorForm } from '../support/pages'
+
+
+/*
+    Login submission outcome tests.
+
+    Notes:  These tests pick up where the 'Test text entry to input fields' suite stops -- they press Log In and verify what the
+            UI does with the response. The login AJAX endpoint is stubbed with cy.intercept() for every test, so no real account
+            is needed and no credentials are ever sent to Instagram. The fake response bodies live in ./cypress/fixtures/login.
+
+            Pages that a successful (or challenged) login navigates to are also stubbed, since without a real session they would
+            redirect back to the Login page.
+*/
+
+
+const TEST_USERNAME = 'test_username'
+const TEST_PASSWORD = 'Test Password'
+
+// Outcomes that keep the user on the Login page and show an error below the form -- the error by its key in the locale
+// catalogs' messages (see expectedText())
+const ERROR_OUTCOMES = [
+    {
+        outcome: 'wrong password',
+        response: { statusCode: 200, fixture: 'login/wrong_password.json' },
+        expected_error: 'wrong_password',
+    },
+    {
+        outcome: 'unknown user',
+        response: { statusCode: 200, fixture: 'login/unknown_user.json' },
+        expected_error: 'unknown_user',
+    },
+    {
+        outcome: 'rate limited (429)',
+        response: { statusCode: 429, fixture: 'login/rate_limited.json' },
+        expected_error: 'rate_limited',
+    },
+    {
+        outcome: 'server error (500)',
+        response: { statusCode: 500, fixture: 'login/server_error.json' },
+        expected_error: 'login_failed',
+    },
+    {
+        outcome: 'service unavailable (503)',
+        response: { statusCode: 503, body: '' },
+        expected_error: 'login_failed',
+    },
+    {
+        outcome: 'network failure',
+        response: { forceNetworkError: true },
+        expected_error: 'login_failed',
+    },
+]
+
+
+describe('Test Login Form submission outcomes with stubbed authentication responses', { tags: '@submission' }, () => {
+    /*
+        This test suite submits the Login Form against a stubbed login endpoint and verifies the UI for each outcome:
+        success, wrong password, unknown user, two-factor challenge, checkpoint, rate limiting, server errors, and
+        network failure.
+    */
+    const login_form = new LoginForm()
+    const two_factor_form = new TwoFactorForm()
+
+    beforeEach(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+
+    it('should send the username and encoded password, and redirect to the one-tap page on success', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Successful login - request payload, and navigation away from the Login page
+        */
+
+        /* Arrange */
+        cy.intercept('POST', LOGIN_ENDPOINT, { statusCode: 200, fixture: 'login/success.json' }).as('login')
+        cy.intercept({ method: 'GET', pathname: '/accounts/onetap/' }, { fixture: 'login/stub_page.html' }).as('onetap')
+
+        /* Act */
+        login_form.logIn(TEST_USERNAME, TEST_PASSWORD)
+
+        /* Assert */
+        cy.wait('@login').its('request.body').then((body) => {
+            const params = new URLSearchParams(body)
+            expect(params.get('username')).to.eq(TEST_USERNAME)
+            // The password is sent as "#PWD_INSTAGRAM_BROWSER:<version>:<timestamp>:<password>"
+            expect(params.get('enc_password')).to.match(/^#PWD_INSTAGRAM_BROWSER:\d+:\d+:/)
+        })
+        cy.wait('@onetap')
+        cy.location('pathname').should('eq', '/accounts/onetap/')
+    })
+
+
+    ERROR_OUTCOMES.forEach(({ outcome, response, expected_error }) => {
+        it(`should stay on the Login page and show an error message when the login response is: ${outcome}`, () => {
+            /*
+                Verify:  Error outcome - error message existence, visibility, and text, and the entered values are kept
+            */
+
+            /* Arrange */
+            cy.intercept('POST', LOGIN_ENDPOINT, response).as('login')
+
+            /* Act */
+            login_form.logIn(TEST_USERNAME, TEST_PASSWORD)
+
+            /* Assert */
+            cy.wait('@login')
+            login_form.errorAlert
+                .should('exist')
+                .and('be.visible')
+                .and('have.text', expectedText(expected_error))
+            cy.location('pathname').should('eq', '/')
+            login_form.usernameInput.should('have.value', TEST_USERNAME)
+            login_form.passwordInput.should('have.value', TEST_PASSWORD)
+            login_form.submitButton.should('be.enabled')
+        })
+    })
+
+
+    it('should show the two-factor authentication challenge when a security code is required', () => {
+        /*
+            Verify:  Two-factor required - navigation to the two-factor screen, security code input visible
+        */
+
+        /* Arrange */
+        cy.intercept('POST', LOGIN_ENDPOINT, { statusCode: 400, fixture: 'login/two_factor_required.json' }).as('login')
+        cy.intercept({ method: 'GET', pathname: '/accounts/login/two_factor' }, { fixture: 'login/two_factor_page.html' }).as('twoFactor')
+
+        /* Act */
+        login_form.logIn(TEST_USERNAME, TEST_PASSWORD)
+
+        /* Assert */
+        cy.wait('@login')
+        cy.wait('@twoFactor')
+        cy.location('pathname').should('eq', '/accounts/login/two_factor')
+        two_factor_form.securityCodeInput.should('exist').and('be.visible')
+        two_factor_form.confirmButton.should('exist').and('be.visible')
+    })
+
+
+    it('should navigate to the checkpoint page when the login requires a checkpoint', () => {
+        /*
+            Verify:  Checkpoint required - navigation to the checkpoint URL from the response
+        */
+
+        /* Arrange */
+        cy.intercept('POST', LOGIN_ENDPOINT, { statusCode: 400, fixture: 'login/checkpoint_required.json' }).as('login')
+        cy.intercept({ method: 'GET', pathname: '/challenge/' }, { fixture: 'login/stub_page.html' }).as('checkpoint')
+
+        /* Act */
+        login_form.logIn(TEST_USERNAME, TEST_PASSWORD)
+
+        /* Assert */
+        cy.wait('@login')
+        cy.wait('@checkpoint')
+        cy.location('pathname').should('eq', '/challenge/')
+        cy.location('search').should('eq', '?next=/')
+    })
+
+
+    it('should replace a previous error message when the login is submitted again', () => {
+        /*
+            Verify:  Error message after resubmission - only one error message, showing the latest outcome
+        */
+
+        /* Arrange */
+        cy.intercept('POST', LOGIN_ENDPOINT, { statusCode: 200, fixture: 'login/unknown_user.json' }).as('login')
+        login_form.logIn(TEST_USERNAME, TEST_PASSWORD)
+        cy.wait('@login')
+        cy.intercept('POST', LOGIN_ENDPOINT, { statusCode: 200, fixture: 'login/wrong_password.json' }).as('login')
+
+        /* Act */
+        login_form.submit()
+
+        /* Assert */
+        cy.wait('@login')
+        login_form.errorAlert
+            .should('have.length', 1)
+            .and('have.text', expectedText('wrong_password'))
+    })
+})
@@ -0,0 +1,86 @@
+/// <reference types="cypress" />
+
+import { capturedRequests, findNetworkProblems } from '../support/network'
+import { LoginForm } from '../support/pages'
+
+
+/*
+    Network traffic tests of the Login page.
+
+    Notes:  Every request made during every suite is captured by a spy installed before each test (see
+            ./cypress/support/network.js), and written per spec to ./cypress/reports/network/<spec>.har -- a HAR-like file
+            that opens in the browser's developer tools. This suite loads the Login page, waits for its traffic to settle,
+            and checks the requests it made: none may fail (4xx / 5xx, or no response), none may be loaded over plain http
+            by a page served over https (mixed content), and none may go to a domain that is neither the site under test
+            nor listed in ./cypress/fixtures/network_allowlist.json -- so that a new tracker or CDN on the Login page is
+            caught. Once a new domain is reviewed, add it to the allowlist with a note on what it is for.
+
+            The traffic is checked once it has settled, so a request still without a response by then -- one that errored,
+            or was never answered -- counts as failed.
+*/
+
+
+// How long to let the page's traffic settle after the load event -- the phone graphic keeps loading screenshots
+const NETWORK_SETTLE_MS = 2000
+
+// The rules for the captured requests, each by the problems it flags (see findNetworkProblems())
+const TRAFFIC_RULES = [
+    { rule: 'no failed requests', problem: /^(HTTP \d+|no response)$/ },
+    { rule: 'nothing loaded over plain http (mixed content)', problem: /^mixed content/ },
+    { rule: 'no requests to domains outside the allowlist', problem: /is not in the allowlist$/ },
+]
+
+
+function formatFlagged(flagged) {
+    const lines = flagged.map(({ request, problems }) => `  - ${request.method} ${request.url} (${request.initiator_type}): ${problems.join('; ')}`)
+    return `${flagged.length} request(s) flagged:\n${lines.join('\n')}`
+}
+
+
+describe('Test network traffic of the Login page', { tags: '@network' }, () => {
+    /*
+        This test suite loads the Login page and verifies the requests it made against the traffic rules.
+    */
+    const login_form = new LoginForm()
+
+    beforeEach(() => {
+        // Load the Login page, with its traffic captured by the spy from ./cypress/support/network.js, and let it settle
+        login_form.visit()
+        cy.wait(NETWORK_SETTLE_MS)
+    })
+
+
+    it('should capture the request for the Login page and the requests it makes while loading', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Capture - the page's document request succeeded, and the requests for its resources were captured
+        */
+
+        /* Assert */
+        cy.then(() => {
+            const requests = capturedRequests()
+            const documents = requests.filter((request) => request.initiator_type === 'document')
+
+            expect(documents, 'document requests').to.have.length.of.at.least(1)
+            expect(documents[documents.length - 1].status, 'status of the Login page').to.eq(200)
+            expect(requests.length, 'requests captured').to.be.greaterThan(documents.length)
+        })
+    })
+
+
+    TRAFFIC_RULES.forEach(({ rule, problem }) => {
+        it(`should have ${rule} while the Login page loads`, () => {
+            /*
+                Verify:  Captured requests - none flagged by this rule
+            */
+
+            /* Assert */
+            cy.then(() => {
+                const flagged = capturedRequests()
+                    .map((request) => ({ request, problems: findNetworkProblems(request).filter((found) => problem.test(found)) }))
+                    .filter(({ problems }) => problems.length > 0)
+
+                assert(flagged.length === 0, flagged.length > 0 ? formatFlagged(flagged) : `${capturedRequests().length} request(s) checked`)
+            })
+        })
+    })
+})
@@ -0,0 +1,110 @@
+/// <reference types="cypress" />
+
+import { envConfig } from '../support/environment'
+import { skipTrafficCapture } from '../support/network'
+import { LoginForm, PhoneGraphic } from '../support/pages'
+import { LOGIN_FORM_INTERACTIVE_MARK, collectMetrics, watchLoginFormInteractive } from '../support/performance'
+
+
+/*
+    Page performance tests of the Login page.
+
+    Notes:  The Login page is loaded once, and its metrics are read from the Navigation, Paint, and Resource Timing entries
+            of window.performance (see ./cypress/support/performance.js). The time until the Login Form is interactive is
+            marked by a MutationObserver installed before the page loads.
+
+            Each budgeted metric is checked against the budget of the environment profile (performance.budgets in
+            ./cypress/environments). Every run is also appended to ./cypress/reports/performance/<environment>/history.json,
+            and compared with the rolling median of the previous runs; the summary is written next to it as summary.txt
+            (and shown in the terminal). Timings measured through Cypress are only comparable with other Cypress runs on
+            the same machine, so regressions are tagged @transient and reported as warnings rather than failing the run.
+
+            The network capture spy (./cypress/support/network.js) is not installed in this spec: it holds every response
+            in the Cypress driver before the browser gets it, and would skew the timings.
+*/
+
+
+// The metrics with a budget -- the budgets themselves are in the environment profile
+const BUDGETED_METRICS = [
+    { metric: 'loginFormInteractiveMs', description: 'time until the Login Form is interactive', unit: 'ms', tags: '@smoke' },
+    { metric: 'totalTransferBytes', description: 'total transfer size', unit: 'bytes' },
+    { metric: 'phoneGraphicBytes', description: 'image bytes of the phone graphic', unit: 'bytes' },
+    { metric: 'requestCount', description: 'number of requests', unit: 'requests' },
+]
+
+// Measure the page as the browser loads it, without the network capture spy in between
+skipTrafficCapture()
+
+
+function formatRegressions(summary) {
+    const lines = summary.regressions.map((row) => `  - ${row.metric}: ${row.value} (median ${row.median}, +${(row.change * 100).toFixed(1)}%)`)
+    return `${summary.regressions.length} metric(s) regressed against the median of the last ${summary.window} run(s) (see ${summary.table}):\n${lines.join('\n')}`
+}
+
+
+describe('Test page performance budgets of the Login page', { tags: '@performance' }, () => {
+    /*
+        This test suite measures one load of the Login page, checks each metric against its budget, and compares the run
+        with the history of previous runs.
+    */
+    const login_form = new LoginForm()
+    const phone_graphic = new PhoneGraphic()
+
+    // The metrics of the run, and its comparison with the previous runs
+    const metrics = {}
+    const summary = {}
+
+    before(() => {
+        // Load the Login page once for the whole suite, marking when its Login Form becomes interactive
+        login_form.visit({ onBeforeLoad: watchLoginFormInteractive })
+
+        // Wait until the Login Form is interactive and the load event has finished, so that every entry is in
+        cy.window().should((win) => {
+            const [navigation] = win.performance.getEntriesByType('navigation')
+
+            expect(win.performance.getEntriesByName(LOGIN_FORM_INTERACTIVE_MARK, 'mark'), 'Login Form interactive mark').to.have.length(1)
+            expect(navigation.loadEventEnd, 'end of the load event').to.be.greaterThan(0)
+        })
+        cy.window().then((win) => {
+            phone_graphic.container.then(($container) => {
+                Object.assign(metrics, collectMetrics(win, $container[0]))
+                Cypress.log({ name: 'collectMetrics', message: JSON.stringify(metrics), consoleProps: () => metrics })
+
+                const run = {
+                    environment: envConfig('name'),
+                    url: win.location.href,
+                    metrics,
+                    budgets: envConfig('performance.budgets'),
+                    trend: envConfig('performance.trend'),
+                }
+                cy.task('recordPerformanceRun', run, { log: false }).then((result) => Object.assign(summary, result))
+            })
+        })
+    })
+
+
+    BUDGETED_METRICS.forEach(({ metric, description, unit, tags }) => {
+        it(`should keep the ${description} within its budget`, { tags }, () => {
+            /*
+                Verify:  Budgeted metric - measured, and at most the environment's budget
+            */
+
+            /* Arrange */
+            const budget = envConfig(`performance.budgets.${metric}`)
+
+            /* Assert */
+            expect(metrics[metric], `${description} (${unit})`).to.be.a('number').and.to.be.at.most(budget)
+        })
+    })
+
+
+    it('should not have regressed against the rolling median of the previous runs', { tags: '@transient' }, () => {
+        /*
+            Verify:  Trend - no metric more than the tolerance above the median of the previous runs
+        */
+
+        /* Assert */
+        cy.log(`Compared with the median of the last ${summary.window} of ${summary.previous_runs} previous run(s)`)
+        assert(summary.regressions.length === 0, summary.regressions.length > 0 ? formatRegressions(summary) : 'no regressions')
+    })
+})
@@ -0,0 +1,272 @@
+/// <reference types="cypress" />
+
+import { envConfig } from '../support/environment'
+import { pageTitle } from '../support/expectations'
+import { LoginForm, PASSWORD_RESET_ENDPOINT, PasswordResetForm } from '../support/pages'
+
+
+/*
+    Forgot password flow tests.
+
+    Notes:  The Login page suites check that the "Forgot password?" link has the right href. These suites follow it into the
+            password reset page, check the reset form, request a login link by email address, username, and phone number,
+            and go back to the Login page with "Back to login".
+
+            The reset endpoint is stubbed with cy.intercept() for every request, so no login link is ever sent to a real
+            account. The fake response bodies live in ./cypress/fixtures/password_reset.
+*/
+
+
+// A login link can be requested with any of these -- and each is sent to the reset endpoint as it was typed
+const RESET_VARIANTS = [
+    { variant: 'email address', value: 'test.user@example.com', fixture: 'password_reset/email_sent.json' },
+    { variant: 'username', value: 'test_username', fixture: 'password_reset/email_sent.json' },
+    { variant: 'phone number', value: '+1 555 555 0100', fixture: 'password_reset/sms_sent.json' },
+]
+
+// Outcomes that keep the form as it was and show an error below the Send login link button
+const ERROR_OUTCOMES = [
+    {
+        outcome: 'no account found',
+        response: { statusCode: 400, fixture: 'password_reset/no_account.json' },
+        expected_error: 'No users found',
+    },
+    {
+        outcome: 'rate limited (429)',
+        response: { statusCode: 429, fixture: 'password_reset/rate_limited.json' },
+        expected_error: 'Please wait a few minutes before you try again.',
+    },
+    {
+        outcome: 'server error (500)',
+        response: { statusCode: 500, fixture: 'password_reset/server_error.json' },
+        expected_error: 'Sorry, something went wrong. Please try again.',
+    },
+]
+
+
+describe('Test the path from the Login page to the password reset page', { tags: '@password-reset' }, () => {
+    /*
+        This test suite follows the "Forgot password?" link of the Login Form.
+    */
+    const login_form = new LoginForm()
+    const password_reset_form = new PasswordResetForm()
+
+    beforeEach(() => {
+        // Start on the Login page, where the "Forgot password?" link is
+        login_form.visit()
+    })
+
+
+    it('should open the password reset page from the "Forgot password?" link', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Forgot password link - leads to the password reset page, with its form shown
+        */
+
+        /* Act */
+        login_form.forgotPasswordLink.click()
+
+        /* Assert */
+        password_reset_form.verifyShown()
+        password_reset_form.form.should('be.visible')
+    })
+})
+
+
+
+
+describe('Test the elements of the password reset form', { tags: '@password-reset' }, () => {
+    /*
+        This test suite verifies the title, instructions, input, button, and links of the password reset page.
+    */
+    const password_reset_form = new PasswordResetForm()
+
+    beforeEach(() => {
+        // Open the password reset page directly, so that each test starts from an empty form
+        password_reset_form.visit()
+    })
+
+
+    it('should have a "Trouble logging in?" title and instructions that exist and are visible', () => {
+        /*
+            Verify:  Title and instructions - existence, visibility, and text correctness
+        */
+
+        /* Arrange */
+        const expected_title = 'Trouble logging in?'
+        const expected_description = "Enter your email, phone, or username and we'll send you a link to get back into your account."
+
+        /* Assert */
+        password_reset_form.title
+            .should('be.visible')
+            .and('have.text', expected_title)
+        password_reset_form.description
+            .should('be.visible')
+            .and('have.text', expected_description)
+    })
+
+
+    it('should have an empty "Email, Phone, or Username" input that exists, is visible, and displays the correct text', () => {
+        /*
+            Verify:  Email, phone, or username input - existence, visibility, empty value, and placeholder text
+        */
+
+        /* Arrange */
+        const expected_placeholder = 'Email, Phone, or Username'
+
+        /* Assert */
+        password_reset_form.emailOrUsernameInput
+            .should('be.visible')
+            .and('have.value', '')
+        password_reset_form.emailOrUsernamePlaceholder
+            .should('be.visible')
+            .and('have.text', expected_placeholder)
+    })
+
+
+    it('should only enable the Send login link button once something is typed in the input', () => {
+        /*
+            Verify:  Send login link button - disabled while the input is empty or blank, enabled with a value
+        */
+
+        /* Assert */
+        password_reset_form.submitButton
+            .should('be.visible')
+            .and('be.disabled')
+            .and('have.text', 'Send login link')
+
+        /* Act */
+        password_reset_form.typeEmailOrUsername('   ')
+
+        /* Assert */
+        password_reset_form.submitButton.should('be.disabled')
+
+        /* Act */
+        password_reset_form.typeEmailOrUsername('test_username')
+
+        /* Assert */
+        password_reset_form.submitButton.should('be.enabled')
+    })
+
+
+    it('should have "Create new account" and "Back to login" links with the expected targets', () => {
+        /*
+            Verify:  Links - existence, visibility, and target correctness
+        */
+
+        /* Assert */
+        password_reset_form.createAccountLink
+            .should('be.visible')
+            .and('have.attr', 'href', envConfig('expected.signUpHref'))
+        password_reset_form.backToLoginLink
+            .should('be.visible')
+            .and('have.attr', 'href', '/accounts/login/')
+    })
+})
+
+
+
+
+describe('Test password reset requests with stubbed reset responses', { tags: '@password-reset' }, () => {
+    /*
+        This test suite requests a login link against a stubbed reset endpoint and verifies the UI for each outcome: the
+        link was sent (by email or SMS), no account was found, the request was rate limited, or the server failed.
+    */
+    const password_reset_form = new PasswordResetForm()
+
+    beforeEach(() => {
+        // Open the password reset page directly, so that each request starts from an empty form
+        password_reset_form.visit()
+    })
+
+
+    RESET_VARIANTS.forEach(({ variant, value, fixture }) => {
+        it(`should send the ${variant} to the reset endpoint and confirm that the login link was sent`, () => {
+            /*
+                Verify:  Link sent - request payload, and the dialog's title, text, and OK button
+            */
+
+            /* Arrange */
+            cy.intercept('POST', PASSWORD_RESET_ENDPOINT, { statusCode: 200, fixture }).as('reset')
+
+            /* Act */
+            password_reset_form.requestLoginLink(value)
+
+            /* Assert */
+            cy.wait('@reset').its('request.body').then((body) => {
+                expect(new URLSearchParams(body).get('email_or_username')).to.eq(value)
+            })
+            cy.fixture(fixture).then((response) => {
+                password_reset_form.sentDialog.should('be.visible')
+                password_reset_form.sentDialogTitle.should('have.text', response.title)
+                password_reset_form.sentDialogBody.should('have.text', response.body)
+            })
+
+            /* Act */
+            password_reset_form.sentDialogOkButton.click()
+
+            /* Assert */
+            password_reset_form.verifySentDialogClosed()
+            password_reset_form.emailOrUsernameInput.should('have.value', value)
+            cy.location('pathname').should('eq', '/accounts/password/reset/')
+        })
+    })
+
+
+    ERROR_OUTCOMES.forEach(({ outcome, response, expected_error }) => {
+        it(`should keep the form and show an error message when the reset response is: ${outcome}`, () => {
+            /*
+                Verify:  Error outcome - error message existence, visibility, and text, no dialog, and the form can be resent
+            */
+
+            /* Arrange */
+            const test_username = 'test_username'
+            cy.intercept('POST', PASSWORD_RESET_ENDPOINT, response).as('reset')
+
+            /* Act */
+            password_reset_form.requestLoginLink(test_username)
+
+            /* Assert */
+            cy.wait('@reset')
+            password_reset_form.errorAlert
+                .should('be.visible')
+                .and('have.text', expected_error)
+            password_reset_form.verifySentDialogClosed()
+            password_reset_form.emailOrUsernameInput.should('have.value', test_username)
+            password_reset_form.submitButton.should('be.enabled')
+        })
+    })
+})
+
+
+
+
+describe('Test the path from the password reset page back to the Login page', { tags: '@password-reset' }, () => {
+    /*
+        This test suite follows "Back to login" and verifies that it leads to the same Login Form that the other suites cover.
+    */
+    const login_form = new LoginForm()
+    const password_reset_form = new PasswordResetForm()
+
+    beforeEach(() => {
+        // Open the password reset page directly, as if the user had followed the "Forgot password?" link
+        password_reset_form.visit()
+    })
+
+
+    it('should return to the Login Form, empty and ready for input, with "Back to login"', () => {
+        /*
+            Verify:  Back to login - the Login page and its form are shown, with empty inputs and the Log In button disabled
+        */
+
+        /* Act */
+        password_reset_form.backToLogin()
+
+        /* Assert */
+        cy.location('pathname').should('eq', '/accounts/login/')
+        cy.title().should('eq', pageTitle())
+        login_form.form.should('be.visible')
+        login_form.usernameInput.should('have.value', '')
+        login_form.passwordInput.should('have.value', '')
+        login_form.submitButton.should('be.disabled')
+    })
+})
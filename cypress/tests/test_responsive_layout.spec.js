@@ -0,0 +1,157 @@
+/// <reference types="cypress" />
+
+import { AppBadges, Footer, LoginForm, PhoneGraphic } from '../support/pages'
+import {
+    PHONE_GRAPHIC_BREAKPOINT,
+    VIEWPORT_PROFILES,
+    selectedViewports,
+    useViewport,
+    viewportTitle,
+} from '../support/viewports'
+
+
+/*
+    Responsive layout tests across the viewport profiles.
+
+    Notes:  For each viewport profile in ./cypress/support/viewports.js -- small phone, large phone, tablet, laptop, and wide
+            desktop -- the Login page is loaded at that size and its layout is checked against the profile's expectations:
+            the phone graphic is shown only above the breakpoint, and the login card, the app badges, and the footer fit
+            within the viewport without overflowing it. The tests for each profile are grouped under it, and their results
+            are written to ./cypress/reports/viewports.json.
+
+            For a quick run, check a subset of the profiles with --env viewports="small-phone laptop".
+
+            All geometry checks compare bounding rectangles (getBoundingClientRect) rather than pixel screenshots.
+*/
+
+
+// Rounding of fractional layout positions, in pixels
+const LAYOUT_TOLERANCE_PX = 1
+
+
+function rectOf($elem) {
+    return $elem[0].getBoundingClientRect()
+}
+
+/*
+    Asserts that an element lies horizontally within the viewport.
+*/
+function expectWithinViewport(profile, rect, description) {
+    expect(rect.left, `${description} left edge`).to.be.at.least(-LAYOUT_TOLERANCE_PX)
+    expect(rect.right, `${description} right edge`).to.be.at.most(profile.width + LAYOUT_TOLERANCE_PX)
+}
+
+/*
+    Asserts that an element lies horizontally within its container.
+*/
+function expectWithin(inner_rect, outer_rect, description) {
+    expect(inner_rect.left, `${description} left edge`).to.be.at.least(outer_rect.left - LAYOUT_TOLERANCE_PX)
+    expect(inner_rect.right, `${description} right edge`).to.be.at.most(outer_rect.right + LAYOUT_TOLERANCE_PX)
+}
+
+
+describe('Test responsive layout of the Login page', { tags: '@responsive', viewports: false }, () => {
+    /*
+        This test suite loads the Login page at each viewport profile and verifies the layout expected at that size.
+    */
+    const login_form = new LoginForm()
+    const phone_graphic = new PhoneGraphic()
+    const app_badges = new AppBadges()
+    const footer = new Footer()
+
+
+    selectedViewports().forEach((name) => {
+        const profile = VIEWPORT_PROFILES[name]
+        const expectations = profile.expectations
+
+        context(viewportTitle(name), () => {
+
+            beforeEach(() => {
+                useViewport(name)
+
+                // Navigate to home page and verify the title to check that the Login page is in expected state
+                login_form.visit()
+            })
+
+
+            it(`should ${expectations.phone_graphic_visible ? 'show' : 'hide'} the phone graphic`, () => {
+                /*
+                    Verify:  Phone graphic - hidden at widths up to the breakpoint, shown above it
+                */
+
+                /* Assert */
+                expect(profile.width > PHONE_GRAPHIC_BREAKPOINT, 'profile width is above the breakpoint')
+                    .to.equal(expectations.phone_graphic_visible)
+
+                if (expectations.phone_graphic_visible) {
+                    phone_graphic.container.should('be.visible')
+                    phone_graphic.images.filter(':visible').should('have.length.at.least', 1)
+                } else {
+                    phone_graphic.container.should('not.be.visible')
+                }
+            })
+
+
+            it('should not scroll the page horizontally', { tags: '@smoke' }, () => {
+                /*
+                    Verify:  Page - no content wider than the viewport
+                */
+
+                /* Assert */
+                cy.document().then((doc) => {
+                    expect(doc.documentElement.scrollWidth, 'page scroll width').to.be.at.most(profile.width)
+                })
+            })
+
+
+            it('should fit the login card and its fields within the viewport', () => {
+                /*
+                    Verify:  Login card - within the viewport, and the inputs and buttons within the card
+                */
+
+                /* Assert */
+                login_form.card.should('be.visible').then(($card) => {
+                    const card_rect = rectOf($card)
+
+                    expectWithinViewport(profile, card_rect, 'login card')
+                    login_form.usernameInput.then(($input) => expectWithin(rectOf($input), card_rect, 'username input'))
+                    login_form.passwordInput.then(($input) => expectWithin(rectOf($input), card_rect, 'password input'))
+                    login_form.submitButton.then(($button) => expectWithin(rectOf($button), card_rect, 'Log In button'))
+                    login_form.facebookButton.then(($button) => expectWithin(rectOf($button), card_rect, 'Facebook button'))
+                })
+            })
+
+
+            it('should fit the app badges within the viewport, side by side', () => {
+                /*
+                    Verify:  App Store / Google Play badges - within the viewport, on one row, not overlapping
+                */
+
+                /* Assert */
+                app_badges.appStoreImage.should('be.visible').then(($app_store) => {
+                    app_badges.googlePlayImage.should('be.visible').then(($google_play) => {
+                        const app_store_rect = rectOf($app_store)
+                        const google_play_rect = rectOf($google_play)
+
+                        expectWithinViewport(profile, app_store_rect, 'App Store badge')
+                        expectWithinViewport(profile, google_play_rect, 'Google Play badge')
+                        expect(app_store_rect.top, 'badges on the same row').to.be.closeTo(google_play_rect.top, LAYOUT_TOLERANCE_PX)
+                        expect(app_store_rect.right, 'badges not overlapping').to.be.at.most(google_play_rect.left + LAYOUT_TOLERANCE_PX)
+                    })
+                })
+            })
+
+
+            it('should wrap the footer links within the viewport', () => {
+                /*
+                    Verify:  Footer links - every link within the viewport (the links wrap onto more rows instead)
+                */
+
+                /* Assert */
+                footer.links.should('have.length.at.least', 1).each(($link) => {
+                    expectWithinViewport(profile, rectOf($link), `footer link "${$link.text()}"`)
+                })
+            })
+        })
+    })
+})
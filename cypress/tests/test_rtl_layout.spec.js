@@ -0,0 +1,169 @@
+/// <reference types="cypress" />
+
+import { LOCALE_CATALOGS, switchLanguage } from '../support/localization'
+import { LoginForm, PhoneGraphic } from '../support/pages'
+
+
+/*
+    Right-to-left layout tests for Arabic, Hebrew, and Persian.
+
+    Notes:  After switching the display language through the footer language selector, these tests verify that dir="rtl" is
+            applied and that the layout is mirrored: the login form fields, the Show / Hide button, and the "or" divider, and the
+            phone graphic and form columns swapping sides. English is checked the same way as a left-to-right baseline, so that
+            a layout that never mirrors -- or that is mirrored in English too -- is caught.
+
+            All geometry checks compare bounding rectangles (getBoundingClientRect) rather than pixel screenshots, so they do not
+            depend on fonts or rendering.
+*/
+
+
+const RTL_LOCALES = Object.keys(LOCALE_CATALOGS).filter((locale) => LOCALE_CATALOGS[locale].dir === 'rtl')
+const LTR_BASELINE_LOCALE = 'en'
+const LAYOUT_LOCALES = [LTR_BASELINE_LOCALE, ...RTL_LOCALES]
+
+// Wide enough for the phone graphic to be shown next to the form
+const VIEWPORT_WIDTH = 1280
+const VIEWPORT_HEIGHT = 800
+
+const TEST_PASSWORD = 'Test Password'
+
+
+function rectOf($elem) {
+    return $elem[0].getBoundingClientRect()
+}
+
+function centerX(rect) {
+    return rect.left + rect.width / 2
+}
+
+/*
+    Asserts that "first" is laid out before "second" in the reading direction -- to the left of it for ltr, to the right for rtl.
+*/
+function expectBefore(dir, first_rect, second_rect, description) {
+    if (dir === 'rtl') {
+        expect(centerX(first_rect), `${description} (rtl: right of)`).to.be.greaterThan(centerX(second_rect))
+    } else {
+        expect(centerX(first_rect), `${description} (ltr: left of)`).to.be.lessThan(centerX(second_rect))
+    }
+}
+
+/*
+    Asserts that the inner element hugs the edge of the outer element where text starts -- left for ltr, right for rtl.
+*/
+function expectAtStartEdge(dir, inner_rect, outer_rect, description) {
+    const distance_to_left = inner_rect.left - outer_rect.left
+    const distance_to_right = outer_rect.right - inner_rect.right
+
+    if (dir === 'rtl') {
+        expect(distance_to_right, `${description} (rtl: nearer the right edge)`).to.be.lessThan(distance_to_left)
+    } else {
+        expect(distance_to_left, `${description} (ltr: nearer the left edge)`).to.be.lessThan(distance_to_right)
+    }
+}
+
+
+describe('Test right-to-left layout of the Login page', { tags: ['@localization', '@rtl'], viewports: false }, () => {
+    /*
+        This test suite switches to each right-to-left locale (and the English baseline) and verifies the direction and
+        mirroring of the layout.
+    */
+    const login_form = new LoginForm()
+    const phone_graphic = new PhoneGraphic()
+
+    beforeEach(() => {
+        cy.viewport(VIEWPORT_WIDTH, VIEWPORT_HEIGHT)
+
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+
+    LAYOUT_LOCALES.forEach((locale) => {
+        const catalog = LOCALE_CATALOGS[locale]
+        const dir = catalog.dir
+
+        context(`${catalog.language} (${locale}, ${dir})`, () => {
+
+            beforeEach(() => {
+                switchLanguage(catalog)
+            })
+
+
+            it(`should apply dir="${dir}" to the page and the login form fields`, () => {
+                /*
+                    Verify:  Page direction - dir attribute, and the computed direction of the inputs
+                */
+
+                /* Assert */
+                cy.get('html').should('have.attr', 'dir', dir)
+                login_form.usernameInput.should('have.css', 'direction', dir)
+                login_form.passwordInput.should('have.css', 'direction', dir)
+            })
+
+
+            it('should place the input placeholders at the start edge of the login form fields', () => {
+                /*
+                    Verify:  Username / Password placeholders - aligned to the start edge of their inputs
+                */
+
+                /* Assert */
+                login_form.usernamePlaceholder.then(($placeholder) => {
+                    login_form.usernameInput.then(($input) => {
+                        expectAtStartEdge(dir, rectOf($placeholder), rectOf($input), 'username placeholder')
+                    })
+                })
+                login_form.passwordPlaceholder.then(($placeholder) => {
+                    login_form.passwordInput.then(($input) => {
+                        expectAtStartEdge(dir, rectOf($placeholder), rectOf($input), 'password placeholder')
+                    })
+                })
+            })
+
+
+            it('should place the Show / Hide button after the password input in the reading direction', () => {
+                /*
+                    Verify:  Show / Hide button - on the end side of the password input (right for ltr, left for rtl)
+                */
+
+                /* Arrange */
+                login_form.typePassword(TEST_PASSWORD)
+
+                /* Assert */
+                login_form.passwordVisibilityButton.should('be.visible').then(($button) => {
+                    login_form.passwordInput.then(($input) => {
+                        expectBefore(dir, rectOf($input), rectOf($button), 'password input before the Show / Hide button')
+                    })
+                })
+            })
+
+
+            it('should mirror the lines of the "or" divider', () => {
+                /*
+                    Verify:  "Or" divider - the first line is on the start side of the text, the last line on the end side
+                */
+
+                /* Assert */
+                login_form.orDivider.children().should('have.length', 3).then(($children) => {
+                    const [first_line, or_text, last_line] = $children.toArray().map((child) => child.getBoundingClientRect())
+
+                    expectBefore(dir, first_line, or_text, 'first divider line before "or"')
+                    expectBefore(dir, or_text, last_line, '"or" before the last divider line')
+                })
+            })
+
+
+            it('should place the phone graphic before the login form in the reading direction', () => {
+                /*
+                    Verify:  Columns - the phone graphic is on the start side of the login form (left for ltr, right for rtl)
+                */
+
+                /* Assert */
+                phone_graphic.screen.should('be.visible').then(($phone_screen) => {
+                    login_form.form.then(($form) => {
+                        expectBefore(dir, rectOf($phone_screen), rectOf($form), 'phone graphic before the login form')
+                    })
+                })
+            })
+        })
+    })
+})
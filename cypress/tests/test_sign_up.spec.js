@@ -0,0 +1,330 @@
+/// <reference types="cypress" />
+
+import enablement_cases from '../fixtures/signup_enablement_cases.json'
+import { expectedText, pageTitle } from '../support/expectations'
+import { LoginForm, SIGN_UP_ATTEMPT_ENDPOINT, SignUpForm } from '../support/pages'
+
+
+/*
+    Sign-up page tests.
+
+    Notes:  The Login page suites check that the "Sign up" link has the right href. These suites follow it into the
+            sign-up page, check its four fields, the Sign up button enablement rules, and the inline validation markers,
+            and go back to the Login page with "Log in".
+
+            The sign-up page checks each field as it loses focus, by a dry run of the account creation request. That
+            endpoint is stubbed with cy.intercept() in every test, so no account is ever created (or even checked) on a
+            real site. The fake response bodies live in ./cypress/fixtures/signup, and the enablement boundary cases in
+            ./cypress/fixtures/signup_enablement_cases.json -- to cover a new rule, add rows to the table.
+*/
+
+
+// Values that pass every check, for the fields a test does not care about
+const VALID_VALUES = {
+    emailOrPhone: 'test.user@example.com',
+    fullName: 'Test User',
+    username: 'test_username',
+    password: 'Test Password',
+}
+
+// The fields of the form, in the order they are shown, with the catalog key of their placeholder text
+const SIGN_UP_FIELDS = [
+    { field: 'emailOrPhone', placeholder_key: 'sign_up_email_or_phone_placeholder', type: 'text' },
+    { field: 'fullName', placeholder_key: 'sign_up_full_name_placeholder', type: 'text' },
+    { field: 'username', placeholder_key: 'sign_up_username_placeholder', type: 'text' },
+    { field: 'password', placeholder_key: 'sign_up_password_placeholder', type: 'password' },
+]
+
+// Dry runs that mark one field as invalid -- the value typed into it, and the error it was rejected with
+const INVALID_FIELD_OUTCOMES = [
+    {
+        outcome: 'invalid email address',
+        field: 'emailOrPhone',
+        value: 'test.user@example',
+        fixture: 'signup/attempt_invalid_email.json',
+        error_key: 'email',
+    },
+    {
+        outcome: 'username already taken',
+        field: 'username',
+        value: 'test_username',
+        fixture: 'signup/attempt_username_taken.json',
+        error_key: 'username',
+    },
+    {
+        outcome: 'weak password',
+        field: 'password',
+        value: 'password',
+        fixture: 'signup/attempt_weak_password.json',
+        error_key: 'password',
+    },
+]
+
+
+describe('Test the path from the Login page to the sign-up page', { tags: '@signup' }, () => {
+    /*
+        This test suite follows the "Sign up" link of the Login Form.
+    */
+    const login_form = new LoginForm()
+    const sign_up_form = new SignUpForm()
+
+    beforeEach(() => {
+        // Start on the Login page, where the "Sign up" link is
+        login_form.visit()
+    })
+
+
+    it('should open the sign-up page from the "Sign up" link', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Sign up link - leads to the sign-up page, with its form shown
+        */
+
+        /* Act */
+        login_form.signUpLink.click()
+
+        /* Assert */
+        sign_up_form.verifyShown()
+        sign_up_form.form.should('be.visible')
+    })
+})
+
+
+
+
+describe('Test the fields of the sign-up form', { tags: '@signup' }, () => {
+    /*
+        This test suite verifies the title and the four fields of the sign-up form.
+    */
+    const sign_up_form = new SignUpForm()
+
+    beforeEach(() => {
+        // Open the sign-up page directly, so that each test starts from an empty form
+        sign_up_form.visit()
+    })
+
+
+    it('should have a title that exists, is visible, and has the correct text', () => {
+        /*
+            Verify:  Title - existence, visibility, and text correctness
+        */
+
+        /* Arrange */
+        const expected_title = expectedText('sign_up_title')
+
+        /* Assert */
+        sign_up_form.title
+            .should('be.visible')
+            .and('have.text', expected_title)
+    })
+
+
+    SIGN_UP_FIELDS.forEach(({ field, placeholder_key, type }) => {
+        const placeholder = expectedText(placeholder_key)
+
+        it(`should have an empty "${placeholder}" input that exists, is visible, and displays the correct text`, () => {
+            /*
+                Verify:  Sign-up field - existence, visibility, empty value, input type, placeholder text, and no marker yet
+            */
+
+            /* Assert */
+            sign_up_form.inputFor(field)
+                .should('be.visible')
+                .and('have.value', '')
+                .and('have.attr', 'type', type)
+            sign_up_form.placeholderFor(field)
+                .should('be.visible')
+                .and('have.text', placeholder)
+            sign_up_form.markerFor(field).should('not.exist')
+        })
+    })
+})
+
+
+
+
+describe('Test Sign up button enablement rules', { tags: ['@signup', '@validation'] }, () => {
+    /*
+        This test suite verifies when the Sign up button is enabled, for each row of the enablement table. The dry run
+        accepts every field, so only the rules of the form itself decide.
+    */
+    const sign_up_form = new SignUpForm()
+
+    beforeEach(() => {
+        // Open the sign-up page directly, and accept every availability check so that only the enablement rules apply
+        sign_up_form.visit()
+        cy.intercept('POST', SIGN_UP_ATTEMPT_ENDPOINT, { statusCode: 200, fixture: 'signup/attempt_accepted.json' }).as('attempt')
+    })
+
+
+    it('should have the Sign up button disabled before anything is entered', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Sign up button - existence, visibility, text, and disabled on page load
+        */
+
+        /* Assert */
+        sign_up_form.submitButton
+            .should('be.visible')
+            .and('be.disabled')
+            .and('have.text', expectedText('sign_up_button'))
+    })
+
+
+    enablement_cases.forEach(({ case: case_name, enabled, ...values }) => {
+        it(`should have the Sign up button ${enabled ? 'enabled' : 'disabled'} for: ${case_name}`, () => {
+            /*
+                Verify:  Sign up button - enabled / disabled for the given field values
+            */
+
+            /* Act */
+            sign_up_form.fillIn(values)
+
+            /* Assert */
+            sign_up_form.submitButton.should(enabled ? 'be.enabled' : 'be.disabled')
+        })
+    })
+})
+
+
+
+
+describe('Test inline validation markers with stubbed availability checks', { tags: ['@signup', '@validation'] }, () => {
+    /*
+        This test suite fills in the sign-up form against a stubbed dry run endpoint and verifies the marker next to each
+        field: an error marker on the field the dry run rejected, and an accepted marker on every other one.
+    */
+    const sign_up_form = new SignUpForm()
+
+    beforeEach(() => {
+        // Open the sign-up page directly, so that each test starts without validation markers
+        sign_up_form.visit()
+    })
+
+
+    it('should send the fields to the dry run endpoint and mark every field as accepted when it passes', () => {
+        /*
+            Verify:  Accepted - request payload, accepted markers on every field, and the Sign up button enabled
+        */
+
+        /* Arrange */
+        cy.intercept('POST', SIGN_UP_ATTEMPT_ENDPOINT, { statusCode: 200, fixture: 'signup/attempt_accepted.json' }).as('attempt')
+
+        /* Act */
+        sign_up_form.fillIn(VALID_VALUES)
+
+        /* Assert */
+        cy.get('@attempt.all').should('have.length', SIGN_UP_FIELDS.length)
+        cy.get('@attempt').its('request.body').then((body) => {
+            const params = new URLSearchParams(body)
+            expect(params.get('email'), 'email').to.eq(VALID_VALUES.emailOrPhone)
+            expect(params.get('first_name'), 'first_name').to.eq(VALID_VALUES.fullName)
+            expect(params.get('username'), 'username').to.eq(VALID_VALUES.username)
+            expect(params.get('enc_password'), 'enc_password').to.match(new RegExp(`:${VALID_VALUES.password}$`))
+        })
+        SIGN_UP_FIELDS.forEach(({ field }) => {
+            sign_up_form.markerFor(field).should('have.attr', 'aria-label', 'Accepted')
+            sign_up_form.inputFor(field).should('have.attr', 'aria-invalid', 'false')
+        })
+        sign_up_form.submitButton.should('be.enabled')
+    })
+
+
+    INVALID_FIELD_OUTCOMES.forEach(({ outcome, field, value, fixture, error_key }) => {
+        it(`should mark only the rejected field with an error when the dry run reports: ${outcome}`, () => {
+            /*
+                Verify:  Rejected field - error marker and its message, accepted markers elsewhere, Sign up button disabled
+            */
+
+            /* Arrange */
+            cy.intercept('POST', SIGN_UP_ATTEMPT_ENDPOINT, { statusCode: 200, fixture }).as('attempt')
+
+            /* Act */
+            sign_up_form.fillIn({ ...VALID_VALUES, [field]: value })
+
+            /* Assert */
+            cy.get('@attempt.all').should('have.length', SIGN_UP_FIELDS.length)
+            cy.fixture(fixture).then((response) => {
+                sign_up_form.markerFor(field)
+                    .should('be.visible')
+                    .and('have.attr', 'aria-label', 'Error')
+                    .and('have.attr', 'title', response.errors[error_key][0].message)
+            })
+            sign_up_form.inputFor(field).should('have.attr', 'aria-invalid', 'true')
+            SIGN_UP_FIELDS
+                .filter((other) => other.field !== field)
+                .forEach((other) => {
+                    sign_up_form.markerFor(other.field).should('have.attr', 'aria-label', 'Accepted')
+                })
+            sign_up_form.submitButton.should('be.disabled')
+        })
+    })
+
+
+    it('should clear the error marker and enable the Sign up button once the rejected field is corrected', () => {
+        /*
+            Verify:  Corrected field - the error marker turns into an accepted one, and the Sign up button is enabled
+        */
+
+        /* Arrange */
+        cy.intercept('POST', SIGN_UP_ATTEMPT_ENDPOINT, { statusCode: 200, fixture: 'signup/attempt_username_taken.json' }).as('attempt')
+        sign_up_form.fillIn(VALID_VALUES)
+        sign_up_form.markerFor('username').should('have.attr', 'aria-label', 'Error')
+        cy.intercept('POST', SIGN_UP_ATTEMPT_ENDPOINT, { statusCode: 200, fixture: 'signup/attempt_accepted.json' }).as('attempt')
+
+        /* Act */
+        sign_up_form.usernameInput.type('_2022').blur()
+
+        /* Assert */
+        cy.wait('@attempt')
+        sign_up_form.markerFor('username').should('have.attr', 'aria-label', 'Accepted')
+        sign_up_form.usernameInput.should('have.attr', 'aria-invalid', 'false')
+        sign_up_form.submitButton.should('be.enabled')
+    })
+})
+
+
+
+
+describe('Test the path from the sign-up page back to the Login page', { tags: '@signup' }, () => {
+    /*
+        This test suite follows "Log in" and verifies that it leads to the same Login Form that the other suites cover.
+    */
+    const login_form = new LoginForm()
+    const sign_up_form = new SignUpForm()
+
+    beforeEach(() => {
+        // Open the sign-up page directly, as if the user had followed the "Sign up" link
+        sign_up_form.visit()
+    })
+
+
+    it('should have a "Have an account? Log in" prompt whose link leads to the Login page', () => {
+        /*
+            Verify:  Log in link - existence, visibility, text, and target correctness
+        */
+
+        /* Assert */
+        sign_up_form.logInLink
+            .should('be.visible')
+            .and('have.text', expectedText('sign_up_log_in'))
+            .and('have.attr', 'href', '/accounts/login/')
+        sign_up_form.logInLink.parent().should('have.text', expectedText('sign_up_log_in_prompt'))
+    })
+
+
+    it('should return to the Login Form, empty and ready for input, with "Log in"', () => {
+        /*
+            Verify:  Log in - the Login page and its form are shown, with empty inputs and the Log In button disabled
+        */
+
+        /* Act */
+        sign_up_form.logIn()
+
+        /* Assert */
+        cy.location('pathname').should('eq', '/accounts/login/')
+        cy.title().should('eq', pageTitle())
+        login_form.form.should('be.visible')
+        login_form.usernameInput.should('have.value', '')
+        login_form.passwordInput.should('have.value', '')
+        login_form.submitButton.should('be.disabled')
+    })
+})
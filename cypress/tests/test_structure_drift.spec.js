@@ -0,0 +1,81 @@
+/// <reference types="cypress" />
+
+import { envConfig, isUpdateMode } from '../support/environment'
+import { LoginForm } from '../support/pages'
+import { collectStructure } from '../support/structure'
+
+
+/*
+    Structure drift tests of the Login page.
+
+    Notes:  Some of the content of the Login page comes and goes -- the topic links in the Footer, for one -- and copy changes
+            without notice. Rather than having someone watch the page by hand, this suite builds a structural map of the page
+            (landmarks, form fields, buttons, links with their text and href, images with their alt text, and the language
+            options -- see ./cypress/support/structure.js) and compares it with the last accepted snapshot in
+            ./cypress/snapshots/structure. Every added, removed, or changed node is listed in
+            ./cypress/reports/structure/<environment>/login_page.txt.
+
+            Differences fail the comparison, except in environments whose content changes without notice (the live site):
+            those set structure.driftIsTransient in their profile (./cypress/environments), which tags the comparison
+            @transient so that differences are reported as warnings instead. Once the differences are reviewed, accept them
+            as the new snapshot with --env updateSnapshots=true (capture mode) and commit it.
+
+            There is a snapshot per environment, since the stand-in is a trimmed-down capture of the live page. A missing
+            snapshot is reported like a difference: a failure on the stand-in, a warning on the live site.
+*/
+
+
+const SNAPSHOT_NAME = 'login_page'
+
+// Drift is only a warning where the environment's profile expects the page to change on its own
+const DRIFT_TAGS = envConfig('structure.driftIsTransient') ? ['@transient'] : []
+
+
+function formatResult(result) {
+    if (result.status === 'missing') {
+        return `The Login page has no structure snapshot at ${result.snapshot} -- ${result.message}`
+    }
+    const lines = []
+        .concat(result.added.map((entry) => `  + ${entry.section}: ${entry.key}`))
+        .concat(result.removed.map((entry) => `  - ${entry.section}: ${entry.key}`))
+        .concat(result.changed.map((entry) => `  ~ ${entry.section}: ${entry.key} (${entry.changes.map((change) => change.property).join(', ')})`))
+    return `The Login page structure differs from its snapshot -- ${result.summary} (see ${result.report}):\n${lines.join('\n')}`
+}
+
+
+describe('Test structure of the Login page against its last accepted snapshot', { tags: '@structure' }, () => {
+    /*
+        This test suite compares the structural map of the Login page with its snapshot, or captures a new snapshot.
+    */
+    const login_form = new LoginForm()
+
+    before(() => {
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+    })
+
+
+    it('should have the same landmarks, fields, buttons, links, images, and language options as the snapshot', { tags: DRIFT_TAGS }, () => {
+        /*
+            Verify:  Page structure - no nodes added, removed, or changed since the last accepted snapshot
+        */
+
+        /* Arrange */
+        const name = `${envConfig('name')}/${SNAPSHOT_NAME}`
+
+        /* Act */
+        cy.document().then((doc) => {
+            cy.task('compareStructure', { name, structure: collectStructure(doc), update: isUpdateMode() }, { log: false }).then((result) => {
+                Cypress.log({
+                    name: 'compareStructure',
+                    message: `${name}: ${result.status}${result.summary ? ` -- ${result.summary}` : ''}`,
+                    consoleProps: () => result,
+                })
+
+                /* Assert */
+                const failed = ['changed', 'missing'].includes(result.status)
+                assert(!failed, failed ? formatResult(result) : `structure ${result.status}`)
+            })
+        })
+    })
+})
@@ -0,0 +1,70 @@
+/// <reference types="cypress" />
+
+import { LoginForm } from '../support/pages'
+
+
+/*
+    Visual regression tests of the Login page regions.
+
+    Notes:  Each test screenshots one region of the page -- the login form, the phone graphic, and the footer -- and compares it
+            with its committed baseline in ./cypress/snapshots/visual/<environment> (through the cy.matchRegionSnapshot() command in
+            ./cypress/support/visual.js). The allowed share of differing pixels is set per region in VISUAL_REGIONS.
+
+            The clock is frozen before the page loads, so the phone screenshots do not rotate while they are captured; they
+            are masked as well, since which screenshot is shown first is not fixed.
+
+            Baselines are captured (and replaced) with --env updateSnapshots=true, and committed. A region without a
+            baseline is not compared: its test passes with a warning until the baseline is captured.
+*/
+
+
+// Fixed viewport, so the regions are always rendered at the size of their baselines
+const VIEWPORT_WIDTH = 1280
+const VIEWPORT_HEIGHT = 800
+
+
+describe('Test visual appearance of the Login page regions', { tags: '@visual', viewports: false }, () => {
+    /*
+        This test suite compares screenshots of the Login page regions with their baselines.
+    */
+    const login_form = new LoginForm()
+
+    beforeEach(() => {
+        cy.viewport(VIEWPORT_WIDTH, VIEWPORT_HEIGHT)
+        cy.clock()
+
+        // Navigate to home page and verify the title to check that the Login page is in expected state
+        login_form.visit()
+        cy.document().its('fonts.status').should('equal', 'loaded')
+    })
+
+
+    it('should match the baseline of the Login Form', { tags: '@smoke' }, () => {
+        /*
+            Verify:  Login Form - empty fields, disabled Log In button
+        */
+
+        /* Assert */
+        cy.matchRegionSnapshot('loginForm')
+    })
+
+
+    it('should match the baseline of the phone graphic', () => {
+        /*
+            Verify:  Phone graphic - frame, with the rotating screenshots masked
+        */
+
+        /* Assert */
+        cy.matchRegionSnapshot('phoneGraphic')
+    })
+
+
+    it('should match the baseline of the Footer', () => {
+        /*
+            Verify:  Footer - links and language selector, with the copyright line (and its year) masked
+        */
+
+        /* Assert */
+        cy.matchRegionSnapshot('footer')
+    })
+})